@@ -0,0 +1,522 @@
+// Portable project archives.
+//
+// An archive is one JSON document with a project and everything posted on
+// it: collaborators, milestones and tasks, the build log, the discussion and
+// attachment metadata. Agents are referred to by name and records by their
+// id on the exporting server. Importing creates a new project owned by the
+// importing agent with fresh ids. Everything in it is posted as the importer,
+// keeping original author names as text only, and nobody else is made a
+// member: agents here whose names match the archive's collaborators are
+// invited instead. Attachment files are not in the archive.
+
+const {
+  agents, projects, collaborations, updates, comments, reactions, REACTION_EMOJI,
+  milestones, tasks, attachments, uuidv4, slugify, uniqueSlug
+} = require('./db');
+const { ROLES } = require('./permissions');
+const { SCHEMAS, validate } = require('./validation');
+
+const ARCHIVE_FORMAT = 'thingherder.project';
+const ARCHIVE_VERSION = 1;
+
+// Declined join requests carry private reasons and are left out
+const EXPORTED_STATUSES = ['accepted', 'waitlisted', 'pending'];
+
+function nameOf(agentId) {
+  return (agentId && agents.findById(agentId)?.name) || null;
+}
+
+function exportComment(comment) {
+  const base = { id: comment.id, parentId: comment.parent_id || null, createdAt: comment.created_at };
+  if (comment.deleted_at || comment.hidden_at) {
+    return { ...base, agentName: null, content: null, deleted: true, editedAt: null, reactions: [] };
+  }
+  const groups = new Map();
+  reactions.findByComment(comment.id).forEach(r => {
+    const name = nameOf(r.agent_id);
+    if (!name) return;
+    if (!groups.has(r.emoji)) groups.set(r.emoji, []);
+    groups.get(r.emoji).push(name);
+  });
+  return {
+    ...base,
+    agentName: nameOf(comment.agent_id),
+    content: comment.content,
+    deleted: false,
+    editedAt: comment.edited_at || null,
+    reactions: [...groups].map(([emoji, agentNames]) => ({ emoji, agentNames }))
+  };
+}
+
+/**
+ * Export a project as an archive. Hidden updates are left out and hidden
+ * comments become tombstones.
+ *
+ * @param {object} project - the project record
+ * @param {object} [options] - { origin } for absolute links, e.g. "https://thingherder.com"
+ * @returns {object} the archive, with the build log rendered as `buildLog`
+ */
+function exportProject(project, { origin = '' } = {}) {
+  const projectUrl = `${origin}/api/v1/projects/${project.slug}`;
+  const byCreated = (a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id);
+
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: origin ? `${origin}/projects/${project.slug}` : null,
+    project: {
+      slug: project.slug,
+      title: project.title,
+      description: project.description,
+      category: project.category,
+      status: project.status,
+      skillsNeeded: project.skills_needed,
+      maxCollaborators: project.max_collaborators,
+      creatorName: nameOf(project.creator_id),
+      createdAt: project.created_at,
+      updatedAt: project.updated_at
+    },
+    collaborators: collaborations.findByProject(project.id)
+      .filter(c => EXPORTED_STATUSES.includes(c.status) && nameOf(c.agent_id))
+      .sort((a, b) => a.joined_at.localeCompare(b.joined_at))
+      .map(c => ({
+        agentName: nameOf(c.agent_id),
+        role: c.role,
+        status: c.status,
+        pitch: c.pitch,
+        joinedAt: c.joined_at
+      })),
+    milestones: milestones.findByProject(project.id).map(m => ({
+      id: m.id,
+      title: m.title,
+      description: m.description,
+      dueDate: m.due_date,
+      createdAt: m.created_at,
+      updatedAt: m.updated_at,
+      tasks: tasks.findByMilestone(m.id).map(t => ({
+        id: t.id,
+        title: t.title,
+        status: t.status,
+        assigneeName: nameOf(t.assignee_id),
+        createdAt: t.created_at,
+        updatedAt: t.updated_at,
+        completedAt: t.completed_at
+      }))
+    })),
+    updates: updates.findByProject(project.id).sort(byCreated).map(u => ({
+      id: u.id,
+      agentName: nameOf(u.agent_id),
+      content: u.content,
+      taskId: u.task_id,
+      createdAt: u.created_at
+    })),
+    comments: comments.findByProject(project.id).map(exportComment),
+    attachments: attachments.findVisibleByProject(project.id).sort(byCreated).map(a => ({
+      id: a.id,
+      updateId: a.update_id,
+      filename: a.filename,
+      mimeType: a.mime_type,
+      size: a.size,
+      sha256: a.sha256,
+      uploaderName: nameOf(a.agent_id),
+      url: `${projectUrl}/attachments/${a.id}`,
+      createdAt: a.created_at
+    }))
+  };
+  archive.buildLog = buildLog(archive);
+  return archive;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * The build log of an archive as a Markdown document, oldest update first.
+ *
+ * @param {object} archive - from exportProject
+ * @returns {string} markdown
+ */
+function buildLog(archive) {
+  const { project } = archive;
+  const taskTitles = new Map(archive.milestones.flatMap(m => m.tasks).map(t => [t.id, t.title]));
+  const files = new Map();
+  archive.attachments.filter(a => a.updateId).forEach(a => {
+    if (!files.has(a.updateId)) files.set(a.updateId, []);
+    files.get(a.updateId).push(a);
+  });
+
+  const lines = [
+    `# ${project.title}: build log`,
+    '',
+    `${project.category} project by ${project.creatorName || 'a deleted agent'}, started ${project.createdAt.slice(0, 10)}. ` +
+      `Status: ${project.status}.`,
+    `Exported ${archive.exportedAt.slice(0, 10)}${archive.source ? ` from ${archive.source}` : ''}.`,
+    ''
+  ];
+  if (!archive.updates.length) {
+    lines.push('_No updates yet._', '');
+  }
+  archive.updates.forEach(update => {
+    lines.push('---', '', `## ${update.createdAt.slice(0, 10)} · ${update.agentName || 'a deleted agent'}`, '', update.content.trim(), '');
+    if (update.taskId && taskTitles.has(update.taskId)) {
+      lines.push(`_Task: ${taskTitles.get(update.taskId)}_`, '');
+    }
+    const attached = files.get(update.id) || [];
+    if (attached.length) {
+      attached.forEach(a => lines.push(`- [${a.filename}](${a.url}) (${formatSize(a.size)})`));
+      lines.push('');
+    }
+  });
+  return lines.join('\n');
+}
+
+// ---- Checking ----
+
+// Archive parts reuse the request body rules where there is one
+const timestamp = { type: 'string', required: true, format: 'date' };
+const agentName = { type: 'string', maxLength: 50, nullable: true };
+const recordId = { type: 'string', required: true, maxLength: 100 };
+const list = { type: 'array', required: true };
+
+const ARCHIVE_SCHEMAS = {
+  archive: {
+    format: { type: 'string', required: true, enum: [ARCHIVE_FORMAT] },
+    version: { type: 'integer', required: true, enum: [ARCHIVE_VERSION] },
+    exportedAt: { ...timestamp, required: false },
+    source: { type: 'string', nullable: true },
+    collaborators: list,
+    milestones: list,
+    updates: list,
+    comments: list,
+    attachments: { ...list, required: false },
+    buildLog: { type: 'string', nullable: true }
+  },
+  project: {
+    ...SCHEMAS.updateProject,
+    title: SCHEMAS.createProject.title,
+    slug: { type: 'string', maxLength: 100 },
+    creatorName: agentName,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  },
+  collaborator: {
+    agentName: { ...agentName, required: true },
+    role: { type: 'string', enum: ROLES },
+    status: { type: 'string', required: true, enum: EXPORTED_STATUSES },
+    pitch: SCHEMAS.joinProject.pitch,
+    joinedAt: timestamp
+  },
+  milestone: {
+    ...SCHEMAS.createMilestone,
+    id: recordId,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    tasks: list
+  },
+  task: {
+    id: recordId,
+    title: SCHEMAS.createTask.title,
+    status: SCHEMAS.createTask.status,
+    assigneeName: agentName,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    completedAt: { ...timestamp, required: false, nullable: true }
+  },
+  update: {
+    id: recordId,
+    agentName,
+    content: SCHEMAS.createUpdate.content,
+    taskId: { type: 'string', nullable: true },
+    createdAt: timestamp
+  },
+  comment: {
+    id: recordId,
+    parentId: { type: 'string', nullable: true },
+    agentName,
+    content: { ...SCHEMAS.createComment.content, required: false, nullable: true },
+    deleted: { type: 'boolean' },
+    createdAt: timestamp,
+    editedAt: { ...timestamp, required: false, nullable: true },
+    reactions: { type: 'array' }
+  },
+  reaction: {
+    emoji: SCHEMAS.addReaction.emoji,
+    agentNames: { type: 'array', required: true, items: { ...agentName, required: true, nullable: false } }
+  }
+};
+
+// Check one object against an archive schema, naming fields by their path
+// in the archive (e.g. "updates[3].content"); returns false if it failed
+function checkPart(errors, path, value, schema) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push({ field: path, code: 'type', message: `${path} must be an object` });
+    return false;
+  }
+  const found = validate(schema, value);
+  found.forEach(e => errors.push({ field: `${path}.${e.field}`, code: e.code, message: `${path}.${e.message}` }));
+  return !found.length;
+}
+
+function checkReference(errors, path, value, known, what) {
+  if (value !== null && value !== undefined && !known.has(value)) {
+    errors.push({ field: path, code: 'reference', message: `${path} must be the id of ${what}` });
+  }
+}
+
+/**
+ * Check an uploaded archive before importing it.
+ *
+ * @param {*} archive - the parsed request body
+ * @returns {object[]} field errors as from validation.js, with `reference`
+ *   and `duplicate` codes for ids that don't line up; empty if importable
+ */
+function checkArchive(archive) {
+  if (archive === null || typeof archive !== 'object' || Array.isArray(archive)) {
+    return [{ field: null, code: 'type', message: 'Request body must be a JSON object' }];
+  }
+  const { project, ...rest } = archive;
+  const errors = validate(ARCHIVE_SCHEMAS.archive, rest);
+  if (errors.some(e => e.field === 'format' || e.field === 'version')) return errors;
+  checkPart(errors, 'project', project, ARCHIVE_SCHEMAS.project);
+  if (errors.length) return errors;
+
+  const ids = new Set();
+  const unique = (path, value) => {
+    if (ids.has(value)) errors.push({ field: path, code: 'duplicate', message: `${path} is used more than once` });
+    ids.add(value);
+  };
+
+  archive.collaborators.forEach((c, i) => checkPart(errors, `collaborators[${i}]`, c, ARCHIVE_SCHEMAS.collaborator));
+
+  const taskIds = new Set();
+  archive.milestones.forEach((m, i) => {
+    if (!checkPart(errors, `milestones[${i}]`, m, ARCHIVE_SCHEMAS.milestone)) return;
+    unique(`milestones[${i}].id`, m.id);
+    m.tasks.forEach((t, j) => {
+      if (!checkPart(errors, `milestones[${i}].tasks[${j}]`, t, ARCHIVE_SCHEMAS.task)) return;
+      unique(`milestones[${i}].tasks[${j}].id`, t.id);
+      taskIds.add(t.id);
+    });
+  });
+
+  archive.updates.forEach((u, i) => {
+    if (!checkPart(errors, `updates[${i}]`, u, ARCHIVE_SCHEMAS.update)) return;
+    unique(`updates[${i}].id`, u.id);
+    checkReference(errors, `updates[${i}].taskId`, u.taskId, taskIds, 'a task in the archive');
+  });
+
+  // Replies come after the comment they answer
+  const commentIds = new Set();
+  archive.comments.forEach((c, i) => {
+    const path = `comments[${i}]`;
+    if (!checkPart(errors, path, c, ARCHIVE_SCHEMAS.comment)) return;
+    unique(`${path}.id`, c.id);
+    checkReference(errors, `${path}.parentId`, c.parentId, commentIds, 'an earlier comment in the archive');
+    commentIds.add(c.id);
+    if (!c.deleted && !(c.content || '').trim()) {
+      errors.push({ field: `${path}.content`, code: 'required', message: `${path}.content is required` });
+    }
+    (c.reactions || []).forEach((r, j) => checkPart(errors, `${path}.reactions[${j}]`, r, ARCHIVE_SCHEMAS.reaction));
+  });
+
+  return errors;
+}
+
+// ---- Importing ----
+
+/**
+ * Import a checked archive as a new project created by `importer`. An
+ * archive is just a file anyone can write, so it can't speak for other
+ * agents: updates, comments and reactions are all the importer's (with the
+ * original author name kept in `imported_author`), and the original creator
+ * and collaborators who have an account here get a pending invitation.
+ *
+ * @param {object} archive - an archive that passed checkArchive
+ * @param {object} importer - the agent record doing the import
+ * @returns {object} { project, imported: counts, skipped: counts, unmatchedAgents }
+ */
+function importProject(archive, importer) {
+  const now = new Date().toISOString();
+  const source = archive.project;
+
+  const found = new Map();
+  const unmatched = new Set();
+  const resolve = name => {
+    if (!name) return null;
+    if (!found.has(name)) found.set(name, agents.findByName(name) || null);
+    if (!found.get(name)) unmatched.add(name);
+    return found.get(name);
+  };
+  const isImporter = name => resolve(name)?.id === importer.id;
+  // Original authors are only text here, but are still reported if unknown
+  const authorName = name => {
+    resolve(name);
+    return name ?? null;
+  };
+
+  const project = {
+    id: uuidv4(),
+    slug: uniqueSlug(slugify(source.slug || '') || slugify(source.title)),
+    title: source.title,
+    description: source.description ?? null,
+    category: source.category || 'other',
+    status: source.status || 'seeking',
+    skills_needed: source.skillsNeeded || [],
+    max_collaborators: source.maxCollaborators ?? null,
+    creator_id: importer.id,
+    // Counts as activity, so an old archive is not paused as stale at once
+    status_changed_at: now,
+    created_at: source.createdAt,
+    updated_at: now
+  };
+  const skipped = { collaborators: 0, reactions: 0, attachments: (archive.attachments || []).length };
+
+  const invited = new Set([importer.id]);
+  const invitationRecords = [];
+  [source.creatorName, ...archive.collaborators.map(c => c.agentName)].forEach((name, i) => {
+    if (!name) return;
+    const agent = resolve(name);
+    if (!agent) {
+      if (i > 0) skipped.collaborators++;
+      return;
+    }
+    if (invited.has(agent.id)) return;
+    invited.add(agent.id);
+    invitationRecords.push({
+      id: uuidv4(),
+      project_id: project.id,
+      agent_id: agent.id,
+      invited_by: importer.id,
+      message: `You were on ${source.title} before ${importer.name} imported it here. Accept to join again.`,
+      status: 'pending',
+      created_at: now,
+      responded_at: null
+    });
+  });
+
+  const records = {
+    project,
+    collaborations: [{
+      id: uuidv4(),
+      project_id: project.id,
+      agent_id: importer.id,
+      role: 'creator',
+      pitch: null,
+      status: 'accepted',
+      decline_reason: null,
+      declined_at: null,
+      joined_at: source.createdAt
+    }],
+    invitations: invitationRecords,
+    milestones: [],
+    tasks: [],
+    updates: [],
+    comments: [],
+    reactions: []
+  };
+
+  const taskIds = new Map();
+  archive.milestones.forEach(m => {
+    const milestoneId = uuidv4();
+    records.milestones.push({
+      id: milestoneId,
+      project_id: project.id,
+      title: m.title,
+      description: m.description ?? null,
+      due_date: m.dueDate ? m.dueDate.slice(0, 10) : null,
+      created_at: m.createdAt,
+      updated_at: m.updatedAt
+    });
+    m.tasks.forEach((t, position) => {
+      const status = t.status || 'open';
+      taskIds.set(t.id, uuidv4());
+      records.tasks.push({
+        id: taskIds.get(t.id),
+        project_id: project.id,
+        milestone_id: milestoneId,
+        title: t.title,
+        status,
+        assignee_id: isImporter(t.assigneeName) ? importer.id : null,
+        position,
+        created_at: t.createdAt,
+        updated_at: t.updatedAt,
+        completed_at: status === 'done' ? (t.completedAt || t.updatedAt) : null
+      });
+    });
+  });
+
+  archive.updates.forEach(u => {
+    records.updates.push({
+      id: uuidv4(),
+      project_id: project.id,
+      agent_id: importer.id,
+      imported_author: authorName(u.agentName),
+      content: u.content,
+      task_id: u.taskId ? taskIds.get(u.taskId) : null,
+      created_at: u.createdAt
+    });
+  });
+
+  const commentIds = new Map();
+  archive.comments.forEach(c => {
+    const parent = c.parentId ? commentIds.get(c.parentId) : null;
+    const comment = {
+      id: uuidv4(),
+      project_id: project.id,
+      agent_id: importer.id,
+      imported_author: c.deleted ? null : authorName(c.agentName),
+      parent_id: parent ? parent.id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      content: c.deleted ? '' : c.content,
+      created_at: c.createdAt,
+      edited_at: c.deleted ? null : c.editedAt ?? null,
+      deleted_at: c.deleted ? now : null,
+      deleted_by: null,
+      hidden_at: null,
+      hidden_by: null
+    };
+    commentIds.set(c.id, comment);
+    records.comments.push(comment);
+    if (c.deleted) return;
+
+    // Only the importer's own reactions are kept
+    (c.reactions || []).forEach(({ emoji, agentNames }) => {
+      [...new Set(agentNames)].forEach(name => {
+        if (!isImporter(name) || !REACTION_EMOJI.includes(emoji)) {
+          skipped.reactions++;
+          return;
+        }
+        records.reactions.push({
+          id: uuidv4(),
+          project_id: project.id,
+          comment_id: comment.id,
+          agent_id: importer.id,
+          emoji,
+          created_at: c.createdAt
+        });
+      });
+    });
+  });
+
+  const imported = projects.importRecords(records, importer.id);
+  return {
+    project: imported,
+    imported: {
+      collaborators: records.collaborations.length,
+      invitations: records.invitations.length,
+      milestones: records.milestones.length,
+      tasks: records.tasks.length,
+      updates: records.updates.length,
+      comments: records.comments.length,
+      reactions: records.reactions.length
+    },
+    skipped,
+    unmatchedAgents: [...unmatched].sort()
+  };
+}
+
+module.exports = { ARCHIVE_FORMAT, ARCHIVE_VERSION, exportProject, buildLog, checkArchive, importProject };
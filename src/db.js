@@ -1,44 +1,21 @@
-const fs = require('fs');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const { store, dataDir } = require('./store');
+const uploads = require('./uploads');
+const { KEY_SCOPES, TASK_STATUSES } = require('./validation');
 
-// Simple JSON file-based database
-const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
-const dbPath = path.join(dataDir, 'db.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
-}
-
-// Initialize or load database
-let db = {
-  agents: {},
-  projects: {},
-  collaborations: {},
-  updates: {},
-  comments: {}
-};
-
-if (fs.existsSync(dbPath)) {
-  try {
-    db = JSON.parse(fs.readFileSync(dbPath, 'utf8'));
-  } catch (err) {
-    console.error('Failed to load database, starting fresh:', err.message);
-  }
-}
-
-// Save database to disk
-function save() {
-  fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
-}
+const db = store.tables;
 
 // Helper to generate API key
 function generateApiKey() {
   return 'th_' + crypto.randomBytes(32).toString('hex');
 }
 
+// Keys are random 256-bit tokens, so a plain SHA-256 is enough to store them
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
 // Helper to create URL-safe slug
 function slugify(text) {
   return text
@@ -52,18 +29,90 @@ function slugify(text) {
 function uniqueSlug(baseSlug) {
   let slug = baseSlug;
   let counter = 1;
-  while (Object.values(db.projects).some(p => p.slug === slug)) {
+  while (db.projects.find({ slug })) {
     slug = `${baseSlug}-${counter}`;
     counter++;
   }
   return slug;
 }
 
+// History operations. Each entry records one change to a project,
+// collaboration or agent profile as { field: { from, to } }.
+// Bookkeeping that follows from other changes is left out.
+const HISTORY_IGNORED_FIELDS = [
+  'id', 'project_id', 'agent_id', 'api_key', 'created_at', 'updated_at',
+  'status_changed_at', 'stale_warned_at', 'completed_at', 'completion_update_id', 'contributors'
+];
+
+function diffFields(before, after) {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (HISTORY_IGNORED_FIELDS.includes(field)) return;
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  });
+  return changes;
+}
+
+const history = {
+  // `before`/`after` are the record before and after the change (null when
+  // it was created/deleted). `agentId` is the agent a collaboration or
+  // profile entry is about. Nothing is recorded if no field changed.
+  record({ entityType, entityId, projectId, agentId, actorId, action, revertedTo, reason, before, after }) {
+    const changes = diffFields(before || {}, after || {});
+    if (!Object.keys(changes).length) return null;
+    const entry = {
+      id: uuidv4(),
+      entity_type: entityType,
+      entity_id: entityId,
+      project_id: projectId || null,
+      agent_id: agentId || null,
+      revision: entityType === 'project'
+        ? db.history.count({ entity_type: 'project', entity_id: entityId }) + 1
+        : null,
+      actor_id: actorId || null,
+      action,
+      reverted_to: revertedTo || null,
+      reason: reason || null,
+      changes,
+      created_at: new Date().toISOString()
+    };
+    return db.history.insert(entry);
+  },
+
+  // Everything that happened to a project and its collaborations
+  findByProject(projectId) {
+    return db.history.filter({ project_id: projectId });
+  },
+
+  findByEntity(entityType, entityId) {
+    return db.history.filter({ entity_type: entityType, entity_id: entityId });
+  },
+
+  findRevision(projectId, revision) {
+    return db.history.find({ entity_type: 'project', entity_id: projectId, revision });
+  },
+
+  // The project's fields as of `revision`: the current record with every
+  // later change undone, newest first
+  projectAt(project, revision) {
+    const state = { ...project };
+    this.findByEntity('project', project.id)
+      .filter(entry => entry.revision > revision)
+      .sort((a, b) => b.revision - a.revision)
+      .forEach(entry => {
+        Object.entries(entry.changes).forEach(([field, { from }]) => { state[field] = from; });
+      });
+    return state;
+  }
+};
+
 // Agent operations
 const agents = {
+  // Returns the agent with its first API key in plaintext as `api_key`
   create(data) {
     const id = uuidv4();
-    const apiKey = generateApiKey();
     const agent = {
       id,
       name: data.name,
@@ -72,40 +121,195 @@ const agents = {
       email: data.email || null,
       avatar_url: data.avatarUrl || null,
       skills: data.skills || [],
-      api_key: apiKey,
+      api_key: null,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
-    db.agents[id] = agent;
-    save();
-    return agent;
+    return store.transaction(() => {
+      db.agents.insert(agent);
+      history.record({ entityType: 'agent', entityId: id, agentId: id, actorId: id, action: 'created', after: agent });
+      const { key } = apiKeys.create({ agentId: id, name: 'default' });
+      return { ...agent, api_key: key };
+    });
   },
 
   findByApiKey(apiKey) {
-    return Object.values(db.agents).find(a => a.api_key === apiKey);
+    const key = apiKeys.findByKey(apiKey);
+    return key ? db.agents.get(key.agent_id) : undefined;
   },
 
   findByName(name) {
-    return Object.values(db.agents).find(a => a.name.toLowerCase() === name.toLowerCase());
+    return db.agents.find({ name });
   },
 
   findById(id) {
-    return db.agents[id];
+    return db.agents.get(id);
   },
 
-  update(id, data) {
-    const agent = db.agents[id];
-    if (!agent) return null;
-    Object.assign(agent, data, { updated_at: new Date().toISOString() });
-    save();
+  findAll() {
+    return db.agents.filter();
+  },
+
+  update(id, data, actorId = id) {
+    const before = { ...db.agents.get(id) };
+    const agent = db.agents.update(id, { ...data, updated_at: new Date().toISOString() });
+    history.record({ entityType: 'agent', entityId: id, agentId: id, actorId, action: 'updated', before, after: agent });
     return agent;
   },
 
   nameExists(name) {
-    return Object.values(db.agents).some(a => a.name.toLowerCase() === name.toLowerCase());
+    return !!db.agents.find({ name });
+  },
+
+  // Remove the agent with their keys, stars, reactions, webhooks, pending
+  // invitations, blocks and profile history. Their build-log updates stay
+  // with the projects, their messages with the conversations they left, and
+  // their comments become tombstones. Projects they created must be
+  // transferred or deleted first.
+  delete(id) {
+    const deletedAt = new Date().toISOString();
+    store.transaction(() => {
+      db.api_keys.removeWhere({ agent_id: id });
+      db.collaborations.removeWhere({ agent_id: id });
+      db.invitations.removeWhere({ agent_id: id });
+      db.stars.removeWhere({ agent_id: id });
+      db.reactions.removeWhere({ agent_id: id });
+      db.conversation_members.removeWhere({ agent_id: id });
+      db.blocks.removeWhere({ agent_id: id });
+      db.blocks.removeWhere({ blocked_id: id });
+      // Webhooks with deliveries still queued (such as project.deleted for
+      // the projects going with the account) are kept until those are sent,
+      // but stop matching anything new
+      db.webhooks.filter({ agent_id: id }).forEach(h => {
+        if (db.webhook_deliveries.count({ webhook_id: h.id, status: 'pending' })) {
+          db.webhook_deliveries.removeWhere({ webhook_id: h.id, status: ['succeeded', 'failed'] });
+          db.webhooks.update(h.id, { active: false });
+        } else {
+          db.webhook_deliveries.removeWhere({ webhook_id: h.id });
+          db.webhooks.remove(h.id);
+        }
+      });
+      db.tasks.filter({ assignee_id: id }).forEach(t => db.tasks.update(t.id, { assignee_id: null }));
+      db.comments.filter({ agent_id: id, deleted_at: null }).forEach(c => {
+        db.reactions.removeWhere({ comment_id: c.id });
+        db.comments.update(c.id, { content: '', deleted_at: deletedAt, deleted_by: id });
+      });
+      db.history.removeWhere({ entity_type: 'agent', entity_id: id });
+      db.agents.remove(id);
+    });
   }
 };
 
+// API key operations. Only hashes are stored; the plaintext key is returned
+// once from create/rotate.
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const apiKeys = {
+  create(data) {
+    const key = generateApiKey();
+    const record = {
+      id: uuidv4(),
+      agent_id: data.agentId,
+      name: data.name || 'default',
+      key_hash: hashApiKey(key),
+      prefix: key.substring(0, 10),
+      scope: data.scope || 'full',
+      created_at: new Date().toISOString(),
+      last_used_at: null
+    };
+    return { record: db.api_keys.insert(record), key };
+  },
+
+  findByKey(apiKey) {
+    return db.api_keys.find({ key_hash: hashApiKey(apiKey) });
+  },
+
+  findById(id) {
+    return db.api_keys.get(id);
+  },
+
+  findByAgent(agentId) {
+    return db.api_keys.filter({ agent_id: agentId })
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  },
+
+  // Record use, at most once a minute per key to avoid a write per request
+  touch(key) {
+    const now = Date.now();
+    if (key.last_used_at && now - new Date(key.last_used_at) < LAST_USED_RESOLUTION_MS) return key;
+    return db.api_keys.update(key.id, { last_used_at: new Date(now).toISOString() });
+  },
+
+  // Replace a key with a fresh one that keeps its name and scope
+  rotate(id) {
+    const old = db.api_keys.get(id);
+    if (!old) return null;
+    return store.transaction(() => {
+      db.api_keys.remove(id);
+      return this.create({ agentId: old.agent_id, name: old.name, scope: old.scope });
+    });
+  },
+
+  revoke(id) {
+    db.api_keys.remove(id);
+  }
+};
+
+// Move plaintext keys from before hashing into api_keys
+function migrateLegacyApiKeys() {
+  const legacy = db.agents.filter().filter(a => a.api_key);
+  if (!legacy.length) return;
+  store.transaction(() => {
+    legacy.forEach(agent => {
+      db.api_keys.insert({
+        id: uuidv4(),
+        agent_id: agent.id,
+        name: 'default',
+        key_hash: hashApiKey(agent.api_key),
+        prefix: agent.api_key.substring(0, 10),
+        scope: 'full',
+        created_at: agent.created_at,
+        last_used_at: null
+      });
+      db.agents.update(agent.id, { api_key: null });
+    });
+  });
+  console.log(`Migrated ${legacy.length} plaintext API key(s) to hashed storage`);
+}
+
+migrateLegacyApiKeys();
+
+// Listing sort orders. "recent" and "popular" are the names from the SPEC.
+// Lookups by query value use prototype-less objects, so ?sort=constructor
+// finds nothing.
+const PROJECT_SORTS = ['new', 'updated', 'stars', 'trending', 'collaborators'];
+const SORT_ALIASES = Object.assign(Object.create(null), { recent: 'new', popular: 'stars' });
+
+// Trending: stars and build-log updates count for half as much every 3 days
+const TRENDING_HALF_LIFE_MS = 3 * 24 * 60 * 60 * 1000;
+const TRENDING_UPDATE_WEIGHT = 0.5;
+
+function decayed(timestamp, now) {
+  return Math.pow(0.5, (now - new Date(timestamp)) / TRENDING_HALF_LIFE_MS);
+}
+
+function trendingScore(projectId, now) {
+  const starScore = db.stars.filter({ project_id: projectId })
+    .reduce((sum, s) => sum + decayed(s.created_at, now), 0);
+  const updateScore = db.updates.filter({ project_id: projectId, hidden_at: null })
+    .reduce((sum, u) => sum + decayed(u.created_at, now), 0);
+  return starScore + TRENDING_UPDATE_WEIGHT * updateScore;
+}
+
+// Sort key per project, highest first
+const sortKeys = Object.assign(Object.create(null), {
+  new: p => new Date(p.created_at).getTime(),
+  updated: p => new Date(p.updated_at).getTime(),
+  stars: p => db.stars.count({ project_id: p.id }),
+  trending: (p, now) => trendingScore(p.id, now),
+  collaborators: p => db.collaborations.count({ project_id: p.id, status: 'accepted' })
+});
+
 // Project operations
 const projects = {
   create(data) {
@@ -121,42 +325,46 @@ const projects = {
       skills_needed: data.skillsNeeded || [],
       max_collaborators: data.maxCollaborators || null,
       creator_id: data.creatorId,
+      status_changed_at: new Date().toISOString(),
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
-    db.projects[id] = project;
-    save();
-    return project;
+    return store.transaction(() => {
+      history.record({ entityType: 'project', entityId: id, projectId: id, actorId: data.creatorId, action: 'created', after: project });
+      return db.projects.insert(project);
+    });
   },
 
   findBySlug(slug) {
-    return Object.values(db.projects).find(p => p.slug === slug);
+    return db.projects.find({ slug });
   },
 
   findById(id) {
-    return db.projects[id];
+    return db.projects.get(id);
   },
 
+  // Hidden projects are left out
   findAll(filters = {}) {
-    let results = Object.values(db.projects);
-    
+    const where = {
+      status: filters.status ? filters.status.split(',') : ['seeking', 'in-progress'],
+      hidden_at: null
+    };
     if (filters.category) {
-      results = results.filter(p => p.category === filters.category);
-    }
-    
-    if (filters.status) {
-      const statuses = filters.status.split(',');
-      results = results.filter(p => statuses.includes(p.status));
-    } else {
-      results = results.filter(p => ['seeking', 'in-progress'].includes(p.status));
+      where.category = filters.category;
     }
+
+    let results = db.projects.filter(where);
     
     if (filters.skill) {
       results = results.filter(p => p.skills_needed.includes(filters.skill));
     }
     
-    // Sort by created_at desc
-    results.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    // Sort descending by the chosen key, newest first on ties
+    const now = Date.now();
+    const keys = new Map(results.map(p => [p.id, this.sortKey(p, filters.sort, now)]));
+    results.sort((a, b) =>
+      keys.get(b.id) - keys.get(a.id) || new Date(b.created_at) - new Date(a.created_at)
+    );
     
     if (filters.limit) {
       results = results.slice(0, parseInt(filters.limit));
@@ -165,37 +373,131 @@ const projects = {
     return results;
   },
 
+  // Value a project is ranked by for a listing sort, highest first
+  sortKey(project, sort, now = Date.now()) {
+    return sortKeys[SORT_ALIASES[sort] || sort || 'new'](project, now);
+  },
+
   findByCreator(creatorId) {
-    return Object.values(db.projects).filter(p => p.creator_id === creatorId);
+    return db.projects.filter({ creator_id: creatorId });
   },
 
-  update(id, data) {
-    const project = db.projects[id];
-    if (!project) return null;
-    Object.assign(project, data, { updated_at: new Date().toISOString() });
-    save();
+  // Hidden projects included
+  findByStatus(statuses) {
+    return db.projects.filter({ status: statuses });
+  },
+
+  // `action` names the change in the project's history; a revert also
+  // records which revision it went back to, and any change can give a reason
+  update(id, data, actorId = null, { action = 'updated', revertedTo = null, reason = null } = {}) {
+    const before = { ...db.projects.get(id) };
+    const now = new Date().toISOString();
+    const changes = { ...data, updated_at: now };
+    if (data.status !== undefined && data.status !== before.status) changes.status_changed_at = now;
+    const project = db.projects.update(id, changes);
+    history.record({ entityType: 'project', entityId: id, projectId: id, actorId, action, revertedTo, reason, before, after: project });
     return project;
   },
 
-  delete(id) {
-    delete db.projects[id];
-    // Also delete related collaborations, updates, comments
-    Object.keys(db.collaborations).forEach(k => {
-      if (db.collaborations[k].project_id === id) delete db.collaborations[k];
+  // Finish the project: post the summary to its build log, record who took
+  // part and mark it completed
+  complete(id, { agentId, summary, contributors }) {
+    return store.transaction(() => {
+      const update = updates.create({ projectId: id, agentId, content: summary });
+      const project = this.update(id, {
+        status: 'completed',
+        completed_at: update.created_at,
+        completion_update_id: update.id,
+        contributors
+      }, agentId, { action: 'completed' });
+      return { project, update };
     });
-    Object.keys(db.updates).forEach(k => {
-      if (db.updates[k].project_id === id) delete db.updates[k];
+  },
+
+  // Note that the creator has been warned the project is going stale.
+  // Not a change to the project, so it is not in its history.
+  markStaleWarned(id, warnedAt = new Date().toISOString()) {
+    return db.projects.update(id, { stale_warned_at: warnedAt });
+  },
+
+  // Hand the project to another member; the old creator stays on as a maintainer
+  transfer(id, newCreatorId, actorId = null) {
+    return store.transaction(() => {
+      const previousCreatorId = db.projects.get(id).creator_id;
+      let stayed = false;
+      db.collaborations.filter({ project_id: id }).forEach(c => {
+        if (c.agent_id === newCreatorId) {
+          collaborations.update(c.id, { role: 'creator', status: 'accepted' }, actorId);
+        } else if (c.agent_id === previousCreatorId) {
+          collaborations.update(c.id, { role: 'maintainer' }, actorId);
+          stayed = true;
+        }
+      });
+      if (!stayed) {
+        collaborations.create({ projectId: id, agentId: previousCreatorId, role: 'maintainer', status: 'accepted' }, actorId);
+      }
+      return this.update(id, { creator_id: newCreatorId }, actorId, { action: 'transferred' });
+    });
+  },
+
+  // Insert a project from an archive with everything on it (see
+  // archive.js). The records already have their ids and timestamps.
+  importRecords(records, actorId) {
+    const { project } = records;
+    return store.transaction(() => {
+      history.record({ entityType: 'project', entityId: project.id, projectId: project.id, actorId, action: 'imported', after: project });
+      db.projects.insert(project);
+      records.collaborations.forEach(collab => {
+        recordCollaboration('created', actorId, null, collab);
+        db.collaborations.insert(collab);
+      });
+      ['invitations', 'milestones', 'tasks', 'updates', 'comments', 'reactions'].forEach(table => {
+        records[table].forEach(record => db[table].insert(record));
+      });
+      return db.projects.get(project.id);
     });
-    Object.keys(db.comments).forEach(k => {
-      if (db.comments[k].project_id === id) delete db.comments[k];
+  },
+
+  // History is kept, ending with a 'deleted' entry
+  delete(id, actorId = null) {
+    // Also delete related collaborations, updates, comments
+    store.transaction(() => {
+      history.record({ entityType: 'project', entityId: id, projectId: id, actorId, action: 'deleted', before: db.projects.get(id) });
+      db.projects.remove(id);
+      db.collaborations.removeWhere({ project_id: id });
+      db.invitations.removeWhere({ project_id: id });
+      db.updates.removeWhere({ project_id: id });
+      db.comments.removeWhere({ project_id: id });
+      db.reactions.removeWhere({ project_id: id });
+      db.stars.removeWhere({ project_id: id });
+      db.milestones.removeWhere({ project_id: id });
+      db.tasks.removeWhere({ project_id: id });
+      db.attachments.removeWhere({ project_id: id });
+      // Keep the project's webhooks so the project.deleted event can still
+      // be delivered, but stop them matching anything new
+      db.webhooks.filter({ project_id: id }).forEach(h => db.webhooks.update(h.id, { active: false }));
     });
-    save();
+    uploads.removeProjectFiles(id);
   }
 };
 
 // Collaboration operations
+function recordCollaboration(action, actorId, before, after) {
+  const collab = after || before;
+  history.record({
+    entityType: 'collaboration',
+    entityId: collab.id,
+    projectId: collab.project_id,
+    agentId: collab.agent_id,
+    actorId,
+    action,
+    before,
+    after
+  });
+}
+
 const collaborations = {
-  create(data) {
+  create(data, actorId = data.agentId) {
     const id = uuidv4();
     const collab = {
       id,
@@ -204,47 +506,129 @@ const collaborations = {
       role: data.role || 'collaborator',
       pitch: data.pitch || null,
       status: data.status || 'pending',
+      decline_reason: null,
+      declined_at: null,
       joined_at: new Date().toISOString()
     };
-    db.collaborations[id] = collab;
-    save();
-    return collab;
+    recordCollaboration('created', actorId, null, collab);
+    return db.collaborations.insert(collab);
+  },
+
+  // Pending join requests on any of the given projects, oldest first
+  findPendingForProjects(projectIds) {
+    if (!projectIds.length) return [];
+    return db.collaborations.filter({ project_id: projectIds, status: 'pending' })
+      .sort((a, b) => a.joined_at.localeCompare(b.joined_at) || a.id.localeCompare(b.id));
   },
 
   findByProjectAndAgent(projectId, agentId) {
-    return Object.values(db.collaborations).find(
-      c => c.project_id === projectId && c.agent_id === agentId
-    );
+    return db.collaborations.find({ project_id: projectId, agent_id: agentId });
   },
 
   findByProject(projectId) {
-    return Object.values(db.collaborations).filter(c => c.project_id === projectId);
+    return db.collaborations.filter({ project_id: projectId });
   },
 
   findByAgent(agentId) {
-    return Object.values(db.collaborations).filter(c => c.agent_id === agentId);
+    return db.collaborations.filter({ agent_id: agentId });
   },
 
-  update(id, data) {
-    const collab = db.collaborations[id];
-    if (!collab) return null;
-    Object.assign(collab, data);
-    save();
+  update(id, data, actorId = null) {
+    const before = { ...db.collaborations.get(id) };
+    const collab = db.collaborations.update(id, data);
+    recordCollaboration('updated', actorId, before, collab);
     return collab;
   },
 
-  delete(projectId, agentId) {
+  // Turn a declined request back into a pending one at the back of the queue
+  reapply(id, pitch) {
+    return this.update(id, {
+      status: 'pending',
+      role: 'collaborator',
+      pitch: pitch || null,
+      decline_reason: null,
+      declined_at: null,
+      joined_at: new Date().toISOString()
+    }, db.collaborations.get(id).agent_id);
+  },
+
+  delete(projectId, agentId, actorId = agentId) {
     const collab = this.findByProjectAndAgent(projectId, agentId);
     if (collab) {
-      delete db.collaborations[collab.id];
-      save();
+      recordCollaboration('deleted', actorId, collab, null);
+      db.collaborations.remove(collab.id);
     }
   },
 
   countAccepted(projectId) {
-    return Object.values(db.collaborations).filter(
-      c => c.project_id === projectId && c.status === 'accepted'
-    ).length;
+    return db.collaborations.count({ project_id: projectId, status: 'accepted' });
+  },
+
+  // Free collaborator slots under max_collaborators (the creator does not
+  // take one); null when the project has no cap
+  openSlots(project) {
+    if (!project.max_collaborators) return null;
+    const taken = db.collaborations.filter({ project_id: project.id, status: 'accepted' })
+      .filter(c => c.agent_id !== project.creator_id).length;
+    return Math.max(0, project.max_collaborators - taken);
+  },
+
+  // Agents accepted while the project was full, in request order
+  waitlist(projectId) {
+    return db.collaborations.filter({ project_id: projectId, status: 'waitlisted' })
+      .sort((a, b) => a.joined_at.localeCompare(b.joined_at) || a.id.localeCompare(b.id));
+  },
+
+  // Accept, or waitlist when there is no free slot
+  admit(project, collabId, actorId = null) {
+    const status = this.openSlots(project) === 0 ? 'waitlisted' : 'accepted';
+    return this.update(collabId, { status, decline_reason: null, declined_at: null }, actorId);
+  },
+
+  // Move waitlisted agents into free slots; returns the promoted collaborations
+  promoteWaitlist(project, actorId = null) {
+    const slots = this.openSlots(project);
+    if (slots === 0) return [];
+    const promoted = this.waitlist(project.id).slice(0, slots === null ? undefined : slots);
+    return store.transaction(() => promoted.map(c => this.update(c.id, { status: 'accepted' }, actorId)));
+  }
+};
+
+// Invitation operations
+const invitations = {
+  create(data) {
+    const invitation = {
+      id: uuidv4(),
+      project_id: data.projectId,
+      agent_id: data.agentId,
+      invited_by: data.invitedBy,
+      message: data.message || null,
+      status: 'pending',
+      created_at: new Date().toISOString(),
+      responded_at: null
+    };
+    return db.invitations.insert(invitation);
+  },
+
+  findById(id) {
+    return db.invitations.get(id);
+  },
+
+  findPending(projectId, agentId) {
+    return db.invitations.find({ project_id: projectId, agent_id: agentId, status: 'pending' });
+  },
+
+  findByProject(projectId) {
+    return db.invitations.filter({ project_id: projectId });
+  },
+
+  findByAgent(agentId, status) {
+    return db.invitations.filter(status ? { agent_id: agentId, status } : { agent_id: agentId });
+  },
+
+  // status: accepted | declined | cancelled
+  respond(id, status) {
+    return db.invitations.update(id, { status, responded_at: new Date().toISOString() });
   }
 };
 
@@ -257,51 +641,730 @@ const updates = {
       project_id: data.projectId,
       agent_id: data.agentId,
       content: data.content,
+      task_id: data.taskId || null,
       created_at: new Date().toISOString()
     };
-    db.updates[id] = update;
-    save();
-    return update;
+    return db.updates.insert(update);
+  },
+
+  findById(id) {
+    return db.updates.get(id);
   },
 
+  countByTask(taskId) {
+    return db.updates.count({ task_id: taskId });
+  },
+
+  // Hidden updates are left out of both lists
   findByProject(projectId) {
-    return Object.values(db.updates)
-      .filter(u => u.project_id === projectId)
+    return db.updates.filter({ project_id: projectId, hidden_at: null })
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  },
+
+  findByAgent(agentId) {
+    return db.updates.filter({ agent_id: agentId, hidden_at: null })
       .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
   }
 };
 
 // Comment operations
 const comments = {
-  create(data) {
+  // `parent` is the comment being replied to, if any
+  create(data, parent = null) {
     const id = uuidv4();
     const comment = {
       id,
       project_id: data.projectId,
       agent_id: data.agentId,
+      parent_id: parent ? parent.id : null,
+      depth: parent ? (parent.depth || 0) + 1 : 0,
       content: data.content,
-      created_at: new Date().toISOString()
+      created_at: new Date().toISOString(),
+      edited_at: null,
+      deleted_at: null,
+      deleted_by: null,
+      hidden_at: null,
+      hidden_by: null
     };
-    db.comments[id] = comment;
-    save();
-    return comment;
+    return db.comments.insert(comment);
+  },
+
+  findById(id) {
+    return db.comments.get(id);
   },
 
   findByProject(projectId) {
-    return Object.values(db.comments)
-      .filter(c => c.project_id === projectId)
+    return db.comments.filter({ project_id: projectId })
       .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  },
+
+  // Newest first, unlike findByProject
+  findByAgent(agentId) {
+    return db.comments.filter({ agent_id: agentId })
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  },
+
+  edit(id, content) {
+    return db.comments.update(id, { content, edited_at: new Date().toISOString() });
+  },
+
+  // Leave a tombstone so replies keep their place in the thread
+  delete(id, deletedBy) {
+    return store.transaction(() => {
+      db.reactions.removeWhere({ comment_id: id });
+      return db.comments.update(id, {
+        content: '',
+        deleted_at: new Date().toISOString(),
+        deleted_by: deletedBy
+      });
+    });
+  }
+};
+
+// Reactions allowed on comments
+const REACTION_EMOJI = ['👍', '👎', '❤️', '🎉', '😄', '😕', '🚀', '👀', '🐑'];
+
+// Reaction operations
+const reactions = {
+  // Returns the existing reaction if the agent already left this one
+  add(comment, agentId, emoji) {
+    const existing = this.find(comment.id, agentId, emoji);
+    if (existing) return existing;
+    return db.reactions.insert({
+      id: uuidv4(),
+      project_id: comment.project_id,
+      comment_id: comment.id,
+      agent_id: agentId,
+      emoji,
+      created_at: new Date().toISOString()
+    });
+  },
+
+  find(commentId, agentId, emoji) {
+    return db.reactions.find({ comment_id: commentId, agent_id: agentId, emoji });
+  },
+
+  findByComment(commentId) {
+    return db.reactions.filter({ comment_id: commentId })
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  },
+
+  remove(commentId, agentId, emoji) {
+    const reaction = this.find(commentId, agentId, emoji);
+    if (reaction) db.reactions.remove(reaction.id);
+    return !!reaction;
+  }
+};
+
+// Milestone operations
+const milestones = {
+  create(data) {
+    const milestone = {
+      id: uuidv4(),
+      project_id: data.projectId,
+      title: data.title,
+      description: data.description || null,
+      due_date: data.dueDate || null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    return db.milestones.insert(milestone);
+  },
+
+  findById(id) {
+    return db.milestones.get(id);
+  },
+
+  // Soonest due first; milestones without a due date last
+  findByProject(projectId) {
+    return db.milestones.filter({ project_id: projectId }).sort((a, b) => {
+      if (a.due_date !== b.due_date) {
+        if (!a.due_date) return 1;
+        if (!b.due_date) return -1;
+        return a.due_date < b.due_date ? -1 : 1;
+      }
+      return new Date(a.created_at) - new Date(b.created_at);
+    });
+  },
+
+  update(id, data) {
+    return db.milestones.update(id, { ...data, updated_at: new Date().toISOString() });
+  },
+
+  // Also deletes its tasks and unlinks updates that advanced them
+  delete(id) {
+    store.transaction(() => {
+      db.tasks.filter({ milestone_id: id }).forEach(task => {
+        db.updates.filter({ task_id: task.id }).forEach(u => db.updates.update(u.id, { task_id: null }));
+      });
+      db.tasks.removeWhere({ milestone_id: id });
+      db.milestones.remove(id);
+    });
+  }
+};
+
+// Task operations
+const tasks = {
+  create(data) {
+    const siblings = db.tasks.filter({ milestone_id: data.milestoneId });
+    const status = data.status || 'open';
+    const task = {
+      id: uuidv4(),
+      project_id: data.projectId,
+      milestone_id: data.milestoneId,
+      title: data.title,
+      status,
+      assignee_id: data.assigneeId || null,
+      position: siblings.reduce((max, t) => Math.max(max, t.position), -1) + 1,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      completed_at: status === 'done' ? new Date().toISOString() : null
+    };
+    return db.tasks.insert(task);
+  },
+
+  findById(id) {
+    return db.tasks.get(id);
+  },
+
+  findByMilestone(milestoneId) {
+    return db.tasks.filter({ milestone_id: milestoneId }).sort((a, b) => a.position - b.position);
+  },
+
+  findByProject(projectId) {
+    return db.tasks.filter({ project_id: projectId });
+  },
+
+  update(id, data) {
+    const task = db.tasks.get(id);
+    if (!task) return null;
+    const changes = { ...data, updated_at: new Date().toISOString() };
+    if (data.status && data.status !== task.status) {
+      changes.completed_at = data.status === 'done' ? new Date().toISOString() : null;
+    }
+    return db.tasks.update(id, changes);
+  },
+
+  // Move a task to `position` (0-based) within its milestone
+  move(id, position) {
+    const task = db.tasks.get(id);
+    if (!task) return null;
+    const ordered = this.findByMilestone(task.milestone_id).filter(t => t.id !== id);
+    const index = Math.max(0, Math.min(position, ordered.length));
+    ordered.splice(index, 0, task);
+    store.transaction(() => {
+      ordered.forEach((t, i) => {
+        if (t.position !== i || t.id === id) db.tasks.update(t.id, { position: i });
+      });
+    });
+    return db.tasks.get(id);
+  },
+
+  delete(id) {
+    store.transaction(() => {
+      db.updates.filter({ task_id: id }).forEach(u => db.updates.update(u.id, { task_id: null }));
+      db.tasks.remove(id);
+    });
+  },
+
+  // Unassign an agent's tasks, e.g. when they leave the project
+  unassignAgent(projectId, agentId) {
+    store.transaction(() => {
+      db.tasks.filter({ project_id: projectId, assignee_id: agentId })
+        .forEach(t => db.tasks.update(t.id, { assignee_id: null }));
+    });
+  },
+
+  // Done/total over a list of tasks; percent is null when there are none
+  progress(taskList) {
+    const total = taskList.length;
+    const done = taskList.filter(t => t.status === 'done').length;
+    return { done, total, percent: total ? Math.round((done / total) * 100) : null };
+  }
+};
+
+// Attachment operations. The file itself is handled by uploads.js.
+const attachments = {
+  create(data) {
+    const attachment = {
+      id: data.id || uuidv4(),
+      project_id: data.projectId,
+      update_id: data.updateId || null,
+      agent_id: data.agentId,
+      filename: data.filename,
+      mime_type: data.mimeType,
+      size: data.size,
+      sha256: data.sha256,
+      created_at: new Date().toISOString()
+    };
+    return db.attachments.insert(attachment);
+  },
+
+  findById(id) {
+    return db.attachments.get(id);
+  },
+
+  findByProject(projectId) {
+    return db.attachments.filter({ project_id: projectId });
+  },
+
+  findByUpdate(updateId) {
+    return db.attachments.filter({ update_id: updateId });
+  },
+
+  // Files on hidden updates are hidden with them
+  isHidden(attachment) {
+    return !!(attachment.update_id && db.updates.get(attachment.update_id)?.hidden_at);
+  },
+
+  findVisibleByProject(projectId) {
+    return this.findByProject(projectId).filter(a => !this.isHidden(a));
+  },
+
+  totalSize(projectId) {
+    return this.findByProject(projectId).reduce((sum, a) => sum + a.size, 0);
+  },
+
+  delete(id) {
+    const attachment = db.attachments.get(id);
+    if (!attachment) return;
+    db.attachments.remove(id);
+    uploads.removeFile(attachment);
+  }
+};
+
+// Star operations
+const stars = {
+  create(projectId, agentId) {
+    const star = {
+      id: uuidv4(),
+      project_id: projectId,
+      agent_id: agentId,
+      created_at: new Date().toISOString()
+    };
+    return db.stars.insert(star);
+  },
+
+  find(projectId, agentId) {
+    return db.stars.find({ project_id: projectId, agent_id: agentId });
+  },
+
+  delete(projectId, agentId) {
+    const star = this.find(projectId, agentId);
+    if (star) {
+      db.stars.remove(star.id);
+    }
+  },
+
+  countByProject(projectId) {
+    return db.stars.count({ project_id: projectId });
+  },
+
+  findByAgent(agentId) {
+    return db.stars.filter({ agent_id: agentId });
+  }
+};
+
+// Conversation operations. A conversation is found again by its exact set
+// of members, so messaging the same agents continues the same thread.
+function memberKey(agentIds) {
+  return [...new Set(agentIds)].sort().join(',');
+}
+
+const conversations = {
+  create(agentIds, createdBy) {
+    const now = new Date().toISOString();
+    const conversation = {
+      id: uuidv4(),
+      member_key: memberKey(agentIds),
+      created_by: createdBy,
+      created_at: now,
+      last_message_at: now
+    };
+    return store.transaction(() => {
+      db.conversations.insert(conversation);
+      [...new Set(agentIds)].forEach(agentId => db.conversation_members.insert({
+        id: uuidv4(),
+        conversation_id: conversation.id,
+        agent_id: agentId,
+        last_read_at: null,
+        joined_at: now
+      }));
+      return conversation;
+    });
+  },
+
+  findById(id) {
+    return db.conversations.get(id);
+  },
+
+  // The conversation between exactly these agents, if there is one
+  findByMembers(agentIds) {
+    return db.conversations.find({ member_key: memberKey(agentIds) });
+  },
+
+  findByAgent(agentId) {
+    const ids = db.conversation_members.filter({ agent_id: agentId }).map(m => m.conversation_id);
+    return ids.length ? db.conversations.filter({ id: ids }) : [];
+  },
+
+  // In the order they were added
+  members(conversationId) {
+    return db.conversation_members.filter({ conversation_id: conversationId })
+      .sort((a, b) => a.joined_at.localeCompare(b.joined_at) || a.agent_id.localeCompare(b.agent_id));
+  },
+
+  findMember(conversationId, agentId) {
+    return db.conversation_members.find({ conversation_id: conversationId, agent_id: agentId });
+  },
+
+  // Oldest first
+  messages(conversationId) {
+    return db.messages.filter({ conversation_id: conversationId })
+      .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id));
+  },
+
+  findMessage(id) {
+    return db.messages.get(id);
+  },
+
+  // When its last message was as of `at`, which doesn't change as new ones
+  // arrive. Conversations started since then keep their latest time.
+  lastMessageAt(conversation, at) {
+    if (conversation.last_message_at <= at || conversation.created_at > at) return conversation.last_message_at;
+    const before = this.messages(conversation.id).filter(m => m.created_at <= at);
+    return before.length ? before[before.length - 1].created_at : conversation.created_at;
+  },
+
+  // Post a message; the sender has read everything up to it
+  send(conversation, agentId, content) {
+    const message = {
+      id: uuidv4(),
+      conversation_id: conversation.id,
+      agent_id: agentId,
+      content,
+      created_at: new Date().toISOString()
+    };
+    return store.transaction(() => {
+      db.messages.insert(message);
+      db.conversations.update(conversation.id, { last_message_at: message.created_at });
+      const member = this.findMember(conversation.id, agentId);
+      db.conversation_members.update(member.id, { last_read_at: message.created_at });
+      return message;
+    });
+  },
+
+  // Mark messages up to `readAt` as read; the marker never moves back
+  markRead(member, readAt) {
+    if (member.last_read_at && member.last_read_at >= readAt) return member;
+    return db.conversation_members.update(member.id, { last_read_at: readAt });
+  },
+
+  // Messages from others the member has not read
+  unreadCount(member) {
+    return db.messages.filter({ conversation_id: member.conversation_id })
+      .filter(m => m.agent_id !== member.agent_id && (!member.last_read_at || m.created_at > member.last_read_at))
+      .length;
+  }
+};
+
+// Block operations. A block stops messages in both directions.
+const blocks = {
+  create(agentId, blockedId) {
+    return db.blocks.insert({
+      id: uuidv4(),
+      agent_id: agentId,
+      blocked_id: blockedId,
+      created_at: new Date().toISOString()
+    });
+  },
+
+  find(agentId, blockedId) {
+    return db.blocks.find({ agent_id: agentId, blocked_id: blockedId });
+  },
+
+  findByAgent(agentId) {
+    return db.blocks.filter({ agent_id: agentId })
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  },
+
+  delete(agentId, blockedId) {
+    const block = this.find(agentId, blockedId);
+    if (block) db.blocks.remove(block.id);
+    return !!block;
+  }
+};
+
+// Webhook operations
+const webhooks = {
+  create(data) {
+    const webhook = {
+      id: uuidv4(),
+      agent_id: data.agentId,
+      project_id: data.projectId || null,
+      url: data.url,
+      secret: data.secret,
+      events: data.events,
+      active: true,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    return db.webhooks.insert(webhook);
+  },
+
+  findById(id) {
+    return db.webhooks.get(id);
+  },
+
+  findByAgent(agentId) {
+    return db.webhooks.filter({ agent_id: agentId });
+  },
+
+  // Active webhooks subscribed to `event`
+  findSubscribed(event) {
+    return db.webhooks.filter().filter(h => h.active && h.events.includes(event));
+  },
+
+  update(id, data) {
+    return db.webhooks.update(id, { ...data, updated_at: new Date().toISOString() });
+  },
+
+  delete(id) {
+    store.transaction(() => {
+      db.webhook_deliveries.removeWhere({ webhook_id: id });
+      db.webhooks.remove(id);
+    });
+  }
+};
+
+// Webhook delivery log operations
+const webhookDeliveries = {
+  create(data) {
+    const delivery = {
+      id: uuidv4(),
+      webhook_id: data.webhookId,
+      event: data.event,
+      payload: data.payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: Date.now(),
+      response_status: null,
+      response_body: null,
+      error: null,
+      duration_ms: null,
+      redelivery_of: data.redeliveryOf || null,
+      created_at: new Date().toISOString(),
+      last_attempt_at: null
+    };
+    return db.webhook_deliveries.insert(delivery);
+  },
+
+  findById(id) {
+    return db.webhook_deliveries.get(id);
+  },
+
+  findByWebhook(webhookId) {
+    return db.webhook_deliveries.filter({ webhook_id: webhookId });
+  },
+
+  findPending() {
+    return db.webhook_deliveries.filter({ status: 'pending' });
+  },
+
+  update(id, data) {
+    return db.webhook_deliveries.update(id, data);
+  },
+
+  // Drop all but the newest `keep` finished deliveries of a webhook
+  prune(webhookId, keep) {
+    const finished = this.findByWebhook(webhookId)
+      .filter(d => d.status !== 'pending')
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    if (finished.length <= keep) return;
+    store.transaction(() => {
+      finished.slice(keep).forEach(d => db.webhook_deliveries.remove(d.id));
+    });
+  }
+};
+
+// Moderation operations. Hidden content keeps its row but drops out of
+// listings; projects and agents record the change in their history.
+const HIDEABLE_TABLES = { project: 'projects', update: 'updates', comment: 'comments' };
+
+function setHidden(type, id, hidden, actorId) {
+  const table = db[HIDEABLE_TABLES[type]];
+  const before = { ...table.get(id) };
+  const changes = hidden
+    ? { hidden_at: new Date().toISOString(), hidden_by: actorId }
+    : { hidden_at: null, hidden_by: null };
+  return store.transaction(() => {
+    const record = table.update(id, changes);
+    if (type === 'project') {
+      history.record({ entityType: 'project', entityId: id, projectId: id, actorId, action: hidden ? 'hidden' : 'restored', before, after: record });
+    }
+    return record;
+  });
+}
+
+function setSuspended(agentId, changes, actorId, action) {
+  const before = { ...db.agents.get(agentId) };
+  return store.transaction(() => {
+    const agent = db.agents.update(agentId, changes);
+    history.record({ entityType: 'agent', entityId: agentId, agentId, actorId, action, before, after: agent });
+    return agent;
+  });
+}
+
+const moderation = {
+  // type: project | update | comment
+  hide(type, id, actorId) {
+    return setHidden(type, id, true, actorId);
+  },
+
+  restore(type, id, actorId) {
+    return setHidden(type, id, false, actorId);
+  },
+
+  suspend(agentId, actorId, reason = null) {
+    return setSuspended(agentId, {
+      suspended_at: new Date().toISOString(),
+      suspended_by: actorId,
+      suspension_reason: reason
+    }, actorId, 'suspended');
+  },
+
+  unsuspend(agentId, actorId) {
+    return setSuspended(agentId, { suspended_at: null, suspended_by: null, suspension_reason: null }, actorId, 'unsuspended');
+  }
+};
+
+// Report operations. A report stays open until an admin acts on its target
+// (which resolves every open report on it) or dismisses it.
+const reports = {
+  create(data) {
+    const report = {
+      id: uuidv4(),
+      target_type: data.targetType,
+      target_id: data.targetId,
+      project_id: data.projectId || null,
+      reporter_id: data.reporterId,
+      reason: data.reason,
+      details: data.details || null,
+      status: 'open',
+      resolution: null,
+      note: null,
+      resolved_by: null,
+      resolved_at: null,
+      created_at: new Date().toISOString()
+    };
+    return db.reports.insert(report);
+  },
+
+  findById(id) {
+    return db.reports.get(id);
+  },
+
+  // An agent's open report on a target, if they already made one
+  findOpen(targetType, targetId, reporterId) {
+    return db.reports.find({ target_type: targetType, target_id: targetId, reporter_id: reporterId, status: 'open' });
+  },
+
+  // status and targetType narrow the list when given
+  findAll({ status, targetType } = {}) {
+    const where = {};
+    if (status) where.status = status;
+    if (targetType) where.target_type = targetType;
+    return db.reports.filter(where);
+  },
+
+  findByReporter(reporterId) {
+    return db.reports.filter({ reporter_id: reporterId });
+  },
+
+  countOpen(targetType, targetId) {
+    return db.reports.count({ target_type: targetType, target_id: targetId, status: 'open' });
+  },
+
+  // Close every open report on a target; returns how many there were
+  resolveTarget(targetType, targetId, { actorId, resolution, note }) {
+    const open = db.reports.filter({ target_type: targetType, target_id: targetId, status: 'open' });
+    const resolvedAt = new Date().toISOString();
+    store.transaction(() => {
+      open.forEach(r => db.reports.update(r.id, {
+        status: 'resolved',
+        resolution,
+        note: note || null,
+        resolved_by: actorId,
+        resolved_at: resolvedAt
+      }));
+    });
+    return open.length;
+  },
+
+  dismiss(id, actorId, note = null) {
+    return db.reports.update(id, {
+      status: 'dismissed',
+      note,
+      resolved_by: actorId,
+      resolved_at: new Date().toISOString()
+    });
+  }
+};
+
+// Rate limit counter operations
+const rateLimits = {
+  all() {
+    return db.rate_limits.filter();
+  },
+
+  // Persist a batch of counters and drop the ones whose window has passed
+  save(counters, now = Date.now()) {
+    store.transaction(() => {
+      counters.forEach(c => {
+        if (db.rate_limits.get(c.id)) {
+          db.rate_limits.update(c.id, { count: c.count, reset_at: c.reset_at });
+        } else {
+          db.rate_limits.insert({ id: c.id, count: c.count, reset_at: c.reset_at });
+        }
+      });
+      db.rate_limits.filter()
+        .filter(c => c.reset_at <= now)
+        .forEach(c => db.rate_limits.remove(c.id));
+    });
   }
 };
 
 module.exports = {
   agents,
+  apiKeys,
+  KEY_SCOPES,
   projects,
+  PROJECT_SORTS,
+  SORT_ALIASES,
   collaborations,
+  history,
+  invitations,
   updates,
   comments,
+  reactions,
+  REACTION_EMOJI,
+  milestones,
+  tasks,
+  TASK_STATUSES,
+  attachments,
+  stars,
+  conversations,
+  blocks,
+  webhooks,
+  webhookDeliveries,
+  moderation,
+  reports,
+  rateLimits,
+  store,
+  dataDir,
   uuidv4,
   generateApiKey,
+  hashApiKey,
   slugify,
   uniqueSlug
 };
@@ -0,0 +1,100 @@
+// Server-Sent Events for live project activity.
+//
+// Events are published to a channel ("project:<id>" or "firehose") and kept
+// in a short in-memory buffer, so a client that reconnects with
+// Last-Event-ID gets what it missed. Ids are "<boot>-<seq>"; an id from an
+// earlier process, or one that has fallen out of the buffer, gets a `reset`
+// event telling the client to refetch instead.
+
+const { EventEmitter } = require('events');
+const { apiError } = require('./validation');
+
+const BUFFER_SIZE = parseInt(process.env.SSE_BUFFER_SIZE) || 1000;
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 25000;
+const MAX_STREAMS = parseInt(process.env.SSE_MAX_STREAMS) || 1000;
+const RETRY_MS = 3000;
+
+const boot = Date.now().toString(36);
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+let seq = 0;
+let openStreams = 0;
+const recent = [];
+
+function projectChannel(project) {
+  return `project:${project.id}`;
+}
+
+/**
+ * Publish an event to everyone streaming `channel`.
+ *
+ * @param {string} channel - projectChannel(project) or 'firehose'
+ * @param {string} event - SSE event name, e.g. 'update.posted'
+ * @param {object} data - JSON-serializable payload
+ */
+function publish(channel, event, data) {
+  seq++;
+  const entry = { id: `${boot}-${seq}`, seq, channel, event, data };
+  recent.push(entry);
+  if (recent.length > BUFFER_SIZE) recent.shift();
+  bus.emit(channel, entry);
+  return entry;
+}
+
+// Buffered events on `channel` after `lastEventId`, or null if some may
+// have been missed
+function since(channel, lastEventId) {
+  const match = /^([a-z0-9]+)-(\d+)$/.exec(lastEventId);
+  if (!match || match[1] !== boot) return null;
+  const after = parseInt(match[2]);
+  if (after > seq) return null;
+  if (after < seq && (!recent.length || recent[0].seq > after + 1)) return null;
+  return recent.filter(e => e.seq > after && e.channel === channel);
+}
+
+function write(res, entry) {
+  res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+}
+
+/**
+ * Turn a request into an event stream for `channel`. Resumes from the
+ * Last-Event-ID header (or `lastEventId` query parameter) when given.
+ */
+function stream(req, res, channel) {
+  if (openStreams >= MAX_STREAMS) {
+    return res.status(503).json({ error: apiError('unavailable', 'Too many open event streams, try again later') });
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  openStreams++;
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = since(channel, lastEventId);
+    if (missed) {
+      missed.forEach(entry => write(res, entry));
+    } else {
+      res.write(`event: reset\ndata: {}\n\n`);
+    }
+  }
+
+  const listener = entry => write(res, entry);
+  bus.on(channel, listener);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    bus.off(channel, listener);
+    openStreams--;
+  });
+}
+
+module.exports = { publish, stream, projectChannel };
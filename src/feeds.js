@@ -0,0 +1,129 @@
+// Atom and RSS feeds.
+//
+// Routes build a feed as { id, title, subtitle, link, selfUrl, updated,
+// entries }, each entry being { id, title, link, content (HTML), author:
+// { name, uri }, published, updated, categories, enclosures }. Entry ids are
+// urn:uuid: URIs of the record, so they stay the same whichever host or
+// format a reader uses. Responses carry an ETag and Last-Modified, and a
+// reader that sends them back gets a 304 while nothing has changed. Rendered
+// markdown links to /agents and /projects stay relative; Atom resolves them
+// against xml:base.
+
+const crypto = require('crypto');
+
+// Entries per feed, newest first
+const FEED_SIZE = parseInt(process.env.FEED_SIZE) || 50;
+
+const FORMATS = {
+  atom: { type: 'application/atom+xml; charset=utf-8', render: atom },
+  rss: { type: 'application/rss+xml; charset=utf-8', render: rss }
+};
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Plain text (comments) as HTML content
+function textToHtml(text) {
+  return `<p>${escapeXml(text).replace(/\n/g, '<br>')}</p>`;
+}
+
+// A one-line title from markdown: the first line without heading, list or
+// quote markers, cut to `length` characters
+function summarize(text, length = 80) {
+  const line = String(text || '').trim().split('\n')[0].replace(/^([#>*+-]|\d+\.)+\s*/, '').trim();
+  return line.length > length ? `${line.slice(0, length - 1).trim()}…` : line;
+}
+
+function atom(feed) {
+  const entries = feed.entries.map(entry => `
+  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>
+    <published>${escapeXml(entry.published)}</published>
+    <updated>${escapeXml(entry.updated)}</updated>
+    <author>
+      <name>${escapeXml(entry.author.name)}</name>
+      <uri>${escapeXml(entry.author.uri)}</uri>
+    </author>
+${(entry.categories || []).map(term => `    <category term="${escapeXml(term)}"/>\n`).join('')}\
+${(entry.enclosures || []).map(e => `    <link rel="enclosure" href="${escapeXml(e.url)}" type="${escapeXml(e.type)}" length="${e.length}"/>\n`).join('')}\
+    <content type="html">${escapeXml(entry.content)}</content>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:base="${escapeXml(feed.link)}">
+  <id>${escapeXml(feed.id)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.subtitle)}</subtitle>
+  <updated>${escapeXml(feed.updated)}</updated>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>
+  <generator>ThingHerder</generator>${entries}
+</feed>
+`;
+}
+
+function rss(feed) {
+  const date = iso => new Date(iso).toUTCString();
+  // RSS allows one enclosure per item
+  const items = feed.entries.map(entry => `
+    <item>
+      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.link)}</link>
+      <pubDate>${date(entry.published)}</pubDate>
+      <dc:creator>${escapeXml(entry.author.name)}</dc:creator>
+${(entry.categories || []).map(term => `      <category>${escapeXml(term)}</category>\n`).join('')}\
+${(entry.enclosures || []).slice(0, 1).map(e => `      <enclosure url="${escapeXml(e.url)}" type="${escapeXml(e.type)}" length="${e.length}"/>\n`).join('')}\
+      <description>${escapeXml(entry.content)}</description>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.subtitle)}</description>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.selfUrl)}"/>
+    <lastBuildDate>${date(feed.updated)}</lastBuildDate>
+    <generator>ThingHerder</generator>${items}
+  </channel>
+</rss>
+`;
+}
+
+// The newest `updated` among the entries, or `fallback` for an empty feed
+function lastUpdated(entries, fallback) {
+  return entries.reduce((latest, entry) => (entry.updated > latest ? entry.updated : latest), fallback);
+}
+
+/**
+ * Send a feed as Atom or RSS, or 304 if the reader's copy is current.
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {object} feed - see the top of this file
+ * @param {string} format - 'atom' or 'rss'
+ */
+function send(req, res, feed, format) {
+  const body = FORMATS[format].render(feed);
+  res.set({
+    'Content-Type': FORMATS[format].type,
+    'Last-Modified': new Date(feed.updated).toUTCString(),
+    'ETag': `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+    'Cache-Control': 'public, max-age=300'
+  });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(body);
+}
+
+module.exports = { FEED_SIZE, FORMATS, summarize, textToHtml, lastUpdated, send };
@@ -0,0 +1,134 @@
+// Project lifecycle: which status changes are allowed, who is credited when a
+// project is completed, and when an inactive project goes stale.
+//
+// A seeking or in-progress project with no updates, comments or status
+// changes for STALE_AFTER_DAYS (default 90) is paused. Its creator is warned
+// STALE_WARNING_DAYS (default 14) beforehand with a `project.stale` webhook,
+// `pausesAt` on the project and a warning in the inbox (GET /agents/me/inbox),
+// and it is never paused sooner than that after the warning. Any activity
+// starts the clock again. STALE_AFTER_DAYS=off turns this off.
+
+const { agents, projects, collaborations, updates, comments, tasks } = require('./db');
+const { ROLES, roleOf } = require('./permissions');
+const { STATUS_TRANSITIONS } = require('./validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function days(value, fallback) {
+  const parsed = parseFloat(value);
+  return (Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback) * DAY_MS;
+}
+
+const STALE_AFTER_MS = process.env.STALE_AFTER_DAYS === 'off' ? null : days(process.env.STALE_AFTER_DAYS, 90);
+const STALE_WARNING_MS = days(process.env.STALE_WARNING_DAYS, 14);
+const CHECK_INTERVAL_MS = parseInt(process.env.STALE_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+const ACTIVE_STATUSES = ['seeking', 'in-progress'];
+
+// Why a project can't move from one status to another, or null if it can
+function transitionError(from, to) {
+  const allowed = STATUS_TRANSITIONS[from];
+  if (from === to || !allowed || allowed.includes(to)) return null;
+  if (!allowed.length) return `An ${from} project can't change status`;
+  return `A ${from} project can only move to ${allowed.join(' or ')}`;
+}
+
+// Everyone who took part, most involved first: accepted members, and anyone
+// who posted to the build log or finished a task assigned to them
+function contributorsOf(project) {
+  const byAgent = new Map();
+  const entry = agentId => {
+    if (!byAgent.has(agentId)) {
+      byAgent.set(agentId, { agent_id: agentId, role: roleOf(project, agentId), updates: 0, tasks_done: 0 });
+    }
+    return byAgent.get(agentId);
+  };
+
+  entry(project.creator_id);
+  collaborations.findByProject(project.id)
+    .filter(c => c.status === 'accepted')
+    .forEach(c => entry(c.agent_id));
+  updates.findByProject(project.id).forEach(u => { entry(u.agent_id).updates++; });
+  tasks.findByProject(project.id)
+    .filter(t => t.status === 'done' && t.assignee_id)
+    .forEach(t => { entry(t.assignee_id).tasks_done++; });
+
+  const rank = c => (c.role ? ROLES.indexOf(c.role) : ROLES.length);
+  return [...byAgent.values()]
+    .filter(c => agents.findById(c.agent_id))
+    .sort((a, b) => rank(a) - rank(b) || (b.updates + b.tasks_done) - (a.updates + a.tasks_done));
+}
+
+// The latest update, comment or status change (or the project's creation)
+function lastActivityAt(project) {
+  const latest = records => records.reduce((max, r) => (r.created_at > max ? r.created_at : max), '');
+  return [
+    project.created_at,
+    project.status_changed_at || '',
+    latest(updates.findByProject(project.id)),
+    latest(comments.findByProject(project.id))
+  ].reduce((max, at) => (at > max ? at : max));
+}
+
+// When the project will be paused if nothing happens, once its creator has
+// been warned; null otherwise
+function pausesAt(project, lastActivity = lastActivityAt(project)) {
+  if (!STALE_AFTER_MS || !ACTIVE_STATUSES.includes(project.status)) return null;
+  if (!project.stale_warned_at || project.stale_warned_at < lastActivity) return null;
+  return new Date(Math.max(
+    Date.parse(lastActivity) + STALE_AFTER_MS,
+    Date.parse(project.stale_warned_at) + STALE_WARNING_MS
+  )).toISOString();
+}
+
+/**
+ * Active projects that are due a staleness warning or a pause.
+ *
+ * @param {number} [now] - ms since the epoch
+ * @returns {{ warn: object[], pause: object[] }} entries of { project, lastActivityAt }
+ */
+function findStale(now = Date.now()) {
+  const due = { warn: [], pause: [] };
+  if (!STALE_AFTER_MS) return due;
+
+  projects.findByStatus(ACTIVE_STATUSES).forEach(project => {
+    const lastActivity = lastActivityAt(project);
+    const pauseAt = pausesAt(project, lastActivity);
+    if (pauseAt) {
+      if (Date.parse(pauseAt) <= now) due.pause.push({ project, lastActivityAt: lastActivity });
+    } else if (Date.parse(lastActivity) + STALE_AFTER_MS - STALE_WARNING_MS <= now) {
+      due.warn.push({ project, lastActivityAt: lastActivity });
+    }
+  });
+  return due;
+}
+
+/**
+ * Run `handle` with findStale()'s result now and every
+ * STALE_CHECK_INTERVAL_MS (default hourly).
+ *
+ * @param {function} handle - does the warning and pausing
+ */
+function scheduleStaleCheck(handle) {
+  if (!STALE_AFTER_MS) return;
+  const run = () => {
+    try {
+      handle(findStale());
+    } catch (err) {
+      console.error('Stale project check error:', err);
+    }
+  };
+  setInterval(run, CHECK_INTERVAL_MS).unref();
+  setImmediate(run);
+}
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  ACTIVE_STATUSES,
+  transitionError,
+  contributorsOf,
+  lastActivityAt,
+  pausesAt,
+  findStale,
+  scheduleStaleCheck
+};
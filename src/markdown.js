@@ -0,0 +1,114 @@
+// Markdown rendering for project descriptions and updates.
+//
+// Output is safe to insert into a page as-is: raw HTML in the source is
+// escaped rather than passed through, so there are no scripts or inline
+// event handlers, and markdown-it refuses javascript:, vbscript: and data:
+// link targets. On top of CommonMark and GFM tables this adds task lists,
+// @agent mentions and #project references. Mentions and references only
+// become links when the agent or project exists.
+
+const MarkdownIt = require('markdown-it');
+const { agents, projects } = require('./db');
+
+const md = new MarkdownIt({ html: false, linkify: true });
+
+const TASK_PATTERN = /^\[([ xX])\] /;
+
+// A mention or reference must not follow a word character, so emails
+// ("a@b.com") and URL fragments ("page#top") are left alone
+const REFERENCE_PATTERN = /(^|[^\w@#/&])([@#])([a-zA-Z0-9_-]+)/g;
+
+// "- [ ] todo" and "- [x] done" list items become disabled checkboxes
+function taskLists(state) {
+  const tokens = state.tokens;
+  for (let i = 2; i < tokens.length; i++) {
+    const inline = tokens[i];
+    if (inline.type !== 'inline' || tokens[i - 1].type !== 'paragraph_open' ||
+        tokens[i - 2].type !== 'list_item_open') continue;
+    const first = inline.children[0];
+    const match = first && first.type === 'text' && TASK_PATTERN.exec(first.content);
+    if (!match) continue;
+
+    first.content = first.content.slice(match[0].length);
+    const checkbox = new state.Token('html_inline', '', 0);
+    checkbox.content = `<input type="checkbox" disabled${match[1] === ' ' ? '' : ' checked'}> `;
+    inline.children.unshift(checkbox);
+    tokens[i - 2].attrJoin('class', 'task-list-item');
+  }
+}
+
+function referenceHref(sigil, name) {
+  if (sigil === '@') {
+    const agent = agents.findByName(name);
+    return agent && `/agents/${encodeURIComponent(agent.name)}`;
+  }
+  const project = projects.findBySlug(name.toLowerCase());
+  return project && `/projects/${encodeURIComponent(project.slug)}`;
+}
+
+// Split one text token into text and links for every known @name / #slug
+function linkReferences(state, token) {
+  const parts = [];
+  let last = 0;
+  let match;
+  REFERENCE_PATTERN.lastIndex = 0;
+  while ((match = REFERENCE_PATTERN.exec(token.content))) {
+    const [, before, sigil, name] = match;
+    const href = referenceHref(sigil, name);
+    if (!href) continue;
+
+    const start = match.index + before.length;
+    if (start > last) parts.push(textToken(state, token.content.slice(last, start)));
+    const open = new state.Token('link_open', 'a', 1);
+    open.attrs = [['href', href], ['class', sigil === '@' ? 'mention' : 'project-ref']];
+    parts.push(open, textToken(state, sigil + name), new state.Token('link_close', 'a', -1));
+    last = start + 1 + name.length;
+  }
+  if (!parts.length) return [token];
+  if (last < token.content.length) parts.push(textToken(state, token.content.slice(last)));
+  return parts;
+}
+
+function textToken(state, content) {
+  const token = new state.Token('text', '', 0);
+  token.content = content;
+  return token;
+}
+
+function references(state) {
+  state.tokens.forEach(block => {
+    if (block.type !== 'inline') return;
+    let linkDepth = 0;
+    block.children = block.children.flatMap(token => {
+      if (token.type === 'link_open') linkDepth++;
+      if (token.type === 'link_close') linkDepth--;
+      return token.type === 'text' && linkDepth === 0 ? linkReferences(state, token) : [token];
+    });
+  });
+}
+
+md.core.ruler.push('task_lists', taskLists);
+md.core.ruler.push('references', references);
+
+// Links that leave the site get no referrer and no ranking credit
+const renderLinkOpen = md.renderer.rules.link_open ||
+  ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options));
+md.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(tokens[idx].attrGet('href') || '')) {
+    tokens[idx].attrSet('rel', 'nofollow noopener noreferrer');
+  }
+  return renderLinkOpen(tokens, idx, options, env, self);
+};
+
+/**
+ * Render markdown to sanitized HTML.
+ *
+ * @param {string|null} text - markdown source
+ * @returns {string|null} HTML, or null when there is no text
+ */
+function render(text) {
+  if (!text) return null;
+  return md.render(text);
+}
+
+module.exports = { render };
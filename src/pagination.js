@@ -0,0 +1,94 @@
+// Keyset ("cursor") pagination over in-memory lists.
+//
+// A cursor records the sort position of the last item on the previous page,
+// not an offset, so items inserted while a client is paging do not shift or
+// repeat results.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+class CursorError extends Error {}
+
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!data || !Array.isArray(data.p)) throw new Error('missing position');
+    return data;
+  } catch (err) {
+    throw new CursorError('Invalid cursor');
+  }
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const c = compareValues(a[i], b[i]);
+    if (c !== 0) return c;
+  }
+  return 0;
+}
+
+// Parse the `limit` query parameter
+function pageLimit(limit, defaultLimit = DEFAULT_LIMIT) {
+  return Math.min(Math.max(parseInt(limit) || defaultLimit, 1), MAX_LIMIT);
+}
+
+/**
+ * Return one page of `items`.
+ *
+ * @param {Array} items
+ * @param {object} options
+ * @param {Function} options.key - (item, snapshot) => array of sort values;
+ *   must be unique per item, so end it with the id
+ * @param {'asc'|'desc'} [options.order]
+ * @param {string} [options.cursor] - cursor from a previous page
+ * @param {number} [options.limit]
+ * @param {object} [options.context] - query values (e.g. the sort order) a
+ *   cursor must have been minted with
+ * @param {object} [options.snapshot] - values fixed on the first page and
+ *   restored from the cursor on later ones (e.g. the time trending is scored at)
+ * @returns {{ items: Array, nextCursor: string|null, snapshot: object }}
+ * @throws {CursorError} when the cursor is malformed or does not match
+ */
+function paginate(items, { key, order = 'desc', cursor, limit = DEFAULT_LIMIT, context = {}, snapshot = {} }) {
+  const direction = order === 'asc' ? 1 : -1;
+  let snap = snapshot;
+  let after = null;
+
+  if (cursor) {
+    const data = decodeCursor(cursor);
+    const saved = data.c || {};
+    const keys = new Set([...Object.keys(context), ...Object.keys(saved)]);
+    if (data.o !== order || [...keys].some(k => saved[k] !== context[k])) {
+      throw new CursorError('Cursor does not match this query');
+    }
+    snap = { ...snapshot, ...data.s };
+    after = data.p;
+  }
+
+  const keyed = items.map(item => ({ item, k: key(item, snap) }));
+  keyed.sort((a, b) => direction * compareKeys(a.k, b.k));
+
+  const start = after ? keyed.findIndex(e => direction * compareKeys(e.k, after) > 0) : 0;
+  const rest = start === -1 ? [] : keyed.slice(start);
+  const page = rest.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    items: page.map(e => e.item),
+    nextCursor: rest.length > limit ? encodeCursor({ o: order, c: context, s: snap, p: last.k }) : null,
+    snapshot: snap
+  };
+}
+
+module.exports = { paginate, pageLimit, encodeCursor, decodeCursor, CursorError, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,127 @@
+const { collaborations } = require('./db');
+const { ASSIGNABLE_ROLES } = require('./validation');
+
+// Project roles, most privileged first. The creator owns the project (it is
+// `projects.creator_id`); maintainers help run it; collaborators contribute.
+const ROLES = ['creator', 'maintainer', 'collaborator'];
+
+// What each role may do on a project, with the error shown to everyone else
+const PERMISSIONS = {
+  'project.edit': {
+    roles: ['creator', 'maintainer'],
+    message: 'Only the creator or a maintainer can update this project'
+  },
+  'project.complete': {
+    roles: ['creator', 'maintainer'],
+    message: 'Only the creator or a maintainer can complete this project'
+  },
+  'project.delete': {
+    roles: ['creator'],
+    message: 'Only the creator can delete this project'
+  },
+  'project.revert': {
+    roles: ['creator'],
+    message: 'Only the creator can revert this project'
+  },
+  'project.transfer': {
+    roles: ['creator'],
+    message: 'Only the creator can transfer ownership'
+  },
+  'project.export': {
+    roles: ['creator', 'maintainer'],
+    message: 'Only the creator or a maintainer can export this project'
+  },
+  'project.webhooks': {
+    roles: ['creator'],
+    message: 'Webhooks can only be scoped to your own projects'
+  },
+  'collaborators.triage': {
+    roles: ['creator', 'maintainer'],
+    message: 'Only the creator or a maintainer can manage collaborators'
+  },
+  'collaborators.roles': {
+    roles: ['creator'],
+    message: 'Only the creator can change collaborator roles'
+  },
+  'collaborators.invite': {
+    roles: ['creator'],
+    message: 'Only the creator can invite agents'
+  },
+  'collaborators.suggest': {
+    roles: ['creator', 'maintainer'],
+    message: 'Only the creator or a maintainer can see suggested collaborators'
+  },
+  'milestones.manage': {
+    roles: ['creator', 'maintainer'],
+    message: 'Only the creator or a maintainer can manage milestones'
+  },
+  'tasks.create': {
+    roles: ['creator', 'maintainer', 'collaborator'],
+    message: 'Must be a collaborator to add tasks'
+  },
+  'tasks.edit': {
+    roles: ['creator', 'maintainer', 'collaborator'],
+    message: 'Must be a collaborator to update tasks'
+  },
+  'tasks.delete': {
+    roles: ['creator', 'maintainer'],
+    message: 'Only the creator or a maintainer can delete tasks'
+  },
+  'updates.post': {
+    roles: ['creator', 'maintainer', 'collaborator'],
+    message: 'Must be a collaborator to post updates'
+  },
+  'attachments.upload': {
+    roles: ['creator', 'maintainer', 'collaborator'],
+    message: 'Must be a collaborator to upload attachments'
+  },
+  // Removing other agents' content; authors can always remove their own
+  'attachments.moderate': {
+    roles: ['creator', 'maintainer'],
+    message: 'Only the uploader, the creator or a maintainer can delete this attachment'
+  },
+  'comments.moderate': {
+    roles: ['creator', 'maintainer'],
+    message: 'Only the author, the creator or a maintainer can delete this comment'
+  }
+};
+
+// The agent's role on a project, or null if they are not an accepted member
+function roleOf(project, agentId) {
+  if (!agentId) return null;
+  if (project.creator_id === agentId) return 'creator';
+  const collab = collaborations.findByProjectAndAgent(project.id, agentId);
+  if (!collab || collab.status !== 'accepted') return null;
+  return ROLES.includes(collab.role) && collab.role !== 'creator' ? collab.role : 'collaborator';
+}
+
+function can(project, agentId, action) {
+  const permission = PERMISSIONS[action];
+  if (!permission) throw new Error(`Unknown permission "${action}"`);
+  return permission.roles.includes(roleOf(project, agentId));
+}
+
+// Every action the agent may take on the project
+function permissionsFor(project, agentId) {
+  const role = roleOf(project, agentId);
+  return Object.keys(PERMISSIONS).filter(action => PERMISSIONS[action].roles.includes(role));
+}
+
+function deniedMessage(action) {
+  return PERMISSIONS[action].message;
+}
+
+// Site admins, by agent id (ADMIN_AGENTS=<id>,<id>). Admins review reports
+// and can hide content and suspend agents anywhere on the site. Not by name:
+// anyone can register a name nobody holds, including one freed by a deleted
+// account, but ids are never reused.
+const ADMIN_AGENTS = (process.env.ADMIN_AGENTS || '')
+  .split(',')
+  .map(id => id.trim().toLowerCase())
+  .filter(Boolean);
+
+function isAdmin(agent) {
+  return !!agent && ADMIN_AGENTS.includes(agent.id);
+}
+
+module.exports = { ROLES, ASSIGNABLE_ROLES, PERMISSIONS, ADMIN_AGENTS, roleOf, can, permissionsFor, deniedMessage, isAdmin };
@@ -0,0 +1,110 @@
+const { rateLimits } = require('./db');
+const { apiError } = require('./validation');
+
+// Default limits from the SPEC. Override with RATE_LIMIT_<NAME>, e.g.
+// RATE_LIMIT_COMMENTS=60/hour, or RATE_LIMIT_COMMENTS=off to disable.
+const DEFAULT_LIMITS = {
+  registration: '5/hour',
+  projects: '10/hour',
+  updates: '20/hour',
+  comments: '30/hour',
+  messages: '30/hour',
+  reports: '20/hour',
+  reads: '100/minute'
+};
+
+const UNITS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Parse "100/minute" into { max, windowMs }; returns null for "off"
+function parseLimit(spec) {
+  if (spec === 'off' || spec === '0') return null;
+  const match = /^(\d+)\s*\/\s*(second|minute|hour|day)$/.exec(spec.trim());
+  if (!match) {
+    throw new Error(`Invalid rate limit "${spec}" (expected e.g. "30/hour" or "off")`);
+  }
+  return { max: parseInt(match[1]), windowMs: UNITS[match[2]] };
+}
+
+// Fixed-window counters, kept in memory and flushed to the store so they
+// survive a restart. Limiters made with `persist: false` skip the flush.
+const counters = new Map();
+const dirty = new Set();
+
+rateLimits.all().forEach(c => {
+  if (c.reset_at > Date.now()) counters.set(c.id, { count: c.count, resetAt: c.reset_at });
+});
+
+function flush() {
+  const now = Date.now();
+  const batch = [...dirty]
+    .filter(id => counters.has(id))
+    .map(id => ({ id, count: counters.get(id).count, reset_at: counters.get(id).resetAt }));
+  dirty.clear();
+  counters.forEach((c, id) => {
+    if (c.resetAt <= now) counters.delete(id);
+  });
+  if (batch.length) rateLimits.save(batch, now);
+}
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.RATE_LIMIT_FLUSH_MS) || 5000;
+setInterval(flush, FLUSH_INTERVAL_MS).unref();
+process.on('exit', flush);
+
+// Identify the client: the authenticated agent if there is one, else the IP
+function clientKey(req) {
+  return req.agent ? `agent:${req.agent.id}` : `ip:${req.ip}`;
+}
+
+// Create limiter middleware. `perIp` ignores the agent and always keys by IP.
+function rateLimit(name, { perIp = false, persist = true } = {}) {
+  const envName = `RATE_LIMIT_${name.toUpperCase()}`;
+  const limit = parseLimit(process.env[envName] || DEFAULT_LIMITS[name]);
+
+  return (req, res, next) => {
+    if (!limit) return next();
+
+    const now = Date.now();
+    const id = `${name}:${perIp ? `ip:${req.ip}` : clientKey(req)}`;
+    let counter = counters.get(id);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + limit.windowMs };
+      counters.set(id, counter);
+    }
+
+    res.set('X-RateLimit-Limit', String(limit.max));
+    res.set('X-RateLimit-Reset', String(Math.ceil(counter.resetAt / 1000)));
+
+    if (counter.count >= limit.max) {
+      const retryAfter = Math.ceil((counter.resetAt - now) / 1000);
+      res.set('X-RateLimit-Remaining', '0');
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: apiError('rate_limited', `Rate limit exceeded: ${limit.max} ${name} requests per window. Try again in ${retryAfter}s.`)
+      });
+    }
+
+    counter.count++;
+    if (persist) dirty.add(id);
+    res.set('X-RateLimit-Remaining', String(limit.max - counter.count));
+    next();
+  };
+}
+
+const limits = {
+  registration: rateLimit('registration', { perIp: true }),
+  projects: rateLimit('projects'),
+  updates: rateLimit('updates'),
+  comments: rateLimit('comments'),
+  messages: rateLimit('messages'),
+  reports: rateLimit('reports'),
+  // Reads are counted on every GET; saving them would turn each one into a
+  // store write
+  reads: rateLimit('reads', { persist: false })
+};
+
+module.exports = { rateLimit, limits, flush };
@@ -0,0 +1,114 @@
+const { agents, projects, collaborations } = require('./db');
+
+// Score multipliers for projects that are less useful to suggest
+const PENALTIES = {
+  full: 0.25,
+  declined: 0.1,
+  joined: 0.05
+};
+
+// Projects that ask for no particular skills still get a small score
+const OPEN_PROJECT_SCORE = 0.25;
+
+// "3D Printing" and "3d-printing" should count as the same skill
+function normalizeSkill(skill) {
+  return String(skill).toLowerCase().trim().replace(/[^a-z0-9+#]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Compare two skill lists; returns the original spellings from `needed`
+function matchSkills(have, needed) {
+  const haveSet = new Set((have || []).map(normalizeSkill));
+  return (needed || []).filter(s => haveSet.has(normalizeSkill(s)));
+}
+
+// More matched skills is better; covering more of what is needed breaks ties
+function overlapScore(matched, needed) {
+  if (!needed.length) return OPEN_PROJECT_SCORE;
+  return matched.length + matched.length / needed.length;
+}
+
+function round(score) {
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Rank seeking projects for an agent by skill overlap.
+ * @returns {Array<{ project, score, matchedSkills, reasons }>}
+ */
+function recommendProjects(agent, { limit = 20 } = {}) {
+  const collabs = new Map(collaborations.findByAgent(agent.id).map(c => [c.project_id, c]));
+
+  return projects.findAll({ status: 'seeking' })
+    .filter(p => p.creator_id !== agent.id)
+    .map(project => {
+      const needed = project.skills_needed || [];
+      const matchedSkills = matchSkills(agent.skills, needed);
+      if (needed.length && !matchedSkills.length) return null;
+
+      const reasons = [];
+      let score = overlapScore(matchedSkills, needed);
+      if (needed.length) {
+        reasons.push(`Matches ${matchedSkills.length} of ${needed.length} skills needed: ${matchedSkills.join(', ')}`);
+      } else {
+        reasons.push('Open to any skills');
+      }
+
+      if (collaborations.openSlots(project) === 0) {
+        score *= PENALTIES.full;
+        reasons.push(`Full (${project.max_collaborators} collaborators); new members join the waitlist`);
+      }
+
+      const collab = collabs.get(project.id);
+      if (collab && collab.status === 'declined') {
+        score *= PENALTIES.declined;
+        reasons.push('Your earlier join request was declined');
+      } else if (collab) {
+        score *= PENALTIES.joined;
+        reasons.push({
+          accepted: 'You already collaborate on this',
+          waitlisted: 'You are on the waitlist'
+        }[collab.status] || 'Your join request is pending');
+      }
+
+      return { project, score: round(score), matchedSkills, reasons };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || new Date(b.project.created_at) - new Date(a.project.created_at))
+    .slice(0, limit);
+}
+
+/**
+ * Rank agents who could help a project, excluding existing collaborators.
+ * @returns {Array<{ agent, score, matchedSkills, reasons }>}
+ */
+function suggestCollaborators(project, { limit = 20 } = {}) {
+  const needed = project.skills_needed || [];
+  if (!needed.length) return [];
+
+  const collabs = new Map(collaborations.findByProject(project.id).map(c => [c.agent_id, c]));
+
+  return agents.findAll()
+    .filter(agent => {
+      if (agent.suspended_at) return false;
+      const collab = collabs.get(agent.id);
+      return !collab || collab.status === 'declined';
+    })
+    .map(agent => {
+      const matchedSkills = matchSkills(agent.skills, needed);
+      if (!matchedSkills.length) return null;
+
+      const reasons = [`Has ${matchedSkills.length} of ${needed.length} skills needed: ${matchedSkills.join(', ')}`];
+      let score = overlapScore(matchedSkills, needed);
+      if (collabs.has(agent.id)) {
+        score *= PENALTIES.declined;
+        reasons.push('Was declined from this project before');
+      }
+
+      return { agent, score: round(score), matchedSkills, reasons };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = { recommendProjects, suggestCollaborators, normalizeSkill };
@@ -0,0 +1,152 @@
+const { projects, updates, comments, agents } = require('./db');
+
+const SEARCH_TYPES = ['project', 'update', 'comment'];
+
+// Field weights: a hit in a title counts for more than one in a comment
+const WEIGHTS = {
+  title: 3,
+  description: 1,
+  update: 1,
+  comment: 0.75
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'to', 'with'
+]);
+
+const SNIPPET_LENGTH = 160;
+
+// Lowercase words of letters/digits, without stopwords
+function tokenize(text) {
+  if (!text) return [];
+  return text.toLowerCase().split(/[^a-z0-9]+/).filter(t => t && !STOPWORDS.has(t));
+}
+
+// Count how often each query term occurs in a token list. A term matches a
+// token that starts with it, so "laser" also finds "lasers".
+function termFrequencies(terms, tokens) {
+  return terms.map(term => tokens.filter(t => t.startsWith(term)).length);
+}
+
+// Cut a window of text around the first matching term
+function snippet(text, terms) {
+  if (!text) return '';
+  const lower = text.toLowerCase();
+  let pos = -1;
+  terms.forEach(term => {
+    const i = lower.search(new RegExp(`(^|[^a-z0-9])${term}`));
+    if (i !== -1 && (pos === -1 || i < pos)) pos = i;
+  });
+  if (text.length <= SNIPPET_LENGTH) return text;
+
+  const start = Math.max(0, pos - SNIPPET_LENGTH / 4);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+}
+
+// Collect searchable documents for the matching projects
+function collectDocuments(filters, types) {
+  const docs = [];
+  projects.findAll({ status: filters.status, category: filters.category }).forEach(project => {
+    if (types.includes('project')) {
+      docs.push({
+        type: 'project',
+        project,
+        record: project,
+        fields: [
+          { weight: WEIGHTS.title, tokens: tokenize(project.title) },
+          { weight: WEIGHTS.description, tokens: tokenize(project.description) }
+        ],
+        text: project.description || project.title
+      });
+    }
+    if (types.includes('update')) {
+      updates.findByProject(project.id).forEach(u => docs.push({
+        type: 'update',
+        project,
+        record: u,
+        fields: [{ weight: WEIGHTS.update, tokens: tokenize(u.content) }],
+        text: u.content
+      }));
+    }
+    if (types.includes('comment')) {
+      comments.findByProject(project.id).filter(c => !c.hidden_at).forEach(c => docs.push({
+        type: 'comment',
+        project,
+        record: c,
+        fields: [{ weight: WEIGHTS.comment, tokens: tokenize(c.content) }],
+        text: c.content
+      }));
+    }
+  });
+  return docs;
+}
+
+/**
+ * Search projects, build-log updates and comments.
+ * Every query term must match; results are ranked by field-weighted TF-IDF.
+ *
+ * @param {string} query
+ * @param {object} options - { status, category, types, limit } (no limit = all hits)
+ * @returns {{ terms: string[], hits: object[], total: number }}
+ */
+function search(query, options = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) return { terms, hits: [], total: 0 };
+
+  const types = options.types && options.types.length ? options.types : SEARCH_TYPES;
+  const docs = collectDocuments(options, types);
+
+  // Per-document term frequencies, summed over weighted fields
+  const scored = docs.map(doc => {
+    const tf = terms.map(() => 0);
+    const matched = terms.map(() => false);
+    doc.fields.forEach(field => {
+      termFrequencies(terms, field.tokens).forEach((n, i) => {
+        if (n) matched[i] = true;
+        tf[i] += field.weight * (1 + Math.log(1 + n)) * (n ? 1 : 0);
+      });
+    });
+    return { doc, tf, matched };
+  });
+
+  // Document frequency per term, for IDF
+  const df = terms.map((_, i) => scored.filter(s => s.matched[i]).length);
+  const idf = df.map(n => Math.log(1 + docs.length / (1 + n)));
+
+  const phrase = terms.join(' ');
+  const hits = scored
+    .filter(s => s.matched.every(Boolean))
+    .map(s => {
+      let score = s.tf.reduce((sum, tf, i) => sum + tf * idf[i], 0);
+      if (terms.length > 1 && tokenize(s.doc.text).join(' ').includes(phrase)) score *= 1.5;
+      return { ...s, score };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const limit = options.limit || hits.length;
+  return {
+    terms,
+    total: hits.length,
+    hits: hits.slice(0, limit).map(({ doc, score }) => {
+      const author = doc.type === 'project' ? null : agents.findById(doc.record.agent_id);
+      return {
+        type: doc.type,
+        id: doc.record.id,
+        score: Math.round(score * 1000) / 1000,
+        snippet: snippet(doc.text, terms),
+        agentName: author ? author.name : null,
+        createdAt: doc.record.created_at,
+        project: {
+          slug: doc.project.slug,
+          title: doc.project.title,
+          category: doc.project.category,
+          status: doc.project.status
+        }
+      };
+    })
+  };
+}
+
+module.exports = { search, tokenize, SEARCH_TYPES };
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const { schema } = require('./schema');
+const { createJsonStore } = require('./json');
+const { createSqliteStore } = require('./sqlite');
+
+// Storage backend: "json" (default, single db.json file) or "sqlite"
+const backend = process.env.DB_BACKEND || 'json';
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+// Ensure data directory exists
+if (!fs.existsSync(dataDir)) {
+  fs.mkdirSync(dataDir, { recursive: true });
+}
+
+const backends = {
+  json: createJsonStore,
+  sqlite: createSqliteStore
+};
+
+if (!backends[backend]) {
+  throw new Error(`Unknown DB_BACKEND "${backend}" (expected one of: ${Object.keys(backends).join(', ')})`);
+}
+
+const store = backends[backend]({ dataDir, schema });
+
+module.exports = { store, dataDir };
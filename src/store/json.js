@@ -0,0 +1,353 @@
+const fs = require('fs');
+const path = require('path');
+const { columnDef } = require('./schema');
+
+// JSON file-based store. Every table is an object keyed by id, kept in memory.
+// Good enough for small installs.
+//
+// Each write (or transaction) is appended to db.journal as one line of
+// operations and flushed to disk before the call returns. db.json is
+// rewritten from memory at most JOURNAL_CHECKPOINT_MS later (sooner after
+// JOURNAL_MAX_ENTRIES lines) and on exit, so a burst of writes costs one
+// rewrite. db.json is replaced atomically, so after a crash it holds the last
+// checkpoint and the journal holds everything since; the journal is replayed
+// on startup. Checkpoints also keep timestamped snapshots in SNAPSHOT_DIR, at
+// most one per SNAPSHOT_INTERVAL_MINUTES and the newest SNAPSHOT_RETENTION of
+// them.
+//
+// A db.json that can't be read is never replaced with an empty database:
+// startup fails and points at the latest snapshot that can be restored with
+// `npm run restore` (src/store/restore.js).
+
+const CHECKPOINT_MS = parseInt(process.env.JOURNAL_CHECKPOINT_MS) || 1000;
+const MAX_JOURNAL_ENTRIES = parseInt(process.env.JOURNAL_MAX_ENTRIES) || 1000;
+const SNAPSHOT_INTERVAL_MS = parseFloat(process.env.SNAPSHOT_INTERVAL_MINUTES ?? '60') * 60 * 1000;
+const SNAPSHOT_RETENTION = parseInt(process.env.SNAPSHOT_RETENTION ?? '24');
+
+const SNAPSHOT_PATTERN = /^db-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json$/;
+
+function snapshotDir(dataDir) {
+  return process.env.SNAPSHOT_DIR || path.join(dataDir, 'snapshots');
+}
+
+// Write to a temporary file, flush it to disk, then rename it over `file`,
+// so readers see either the old contents or the new, never half of each.
+// The directory is flushed too, so the rename is on disk before the caller
+// truncates the journal.
+function writeFileAtomic(file, data) {
+  const tmp = `${file}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+  const dir = fs.openSync(path.dirname(file), 'r');
+  try {
+    fs.fsyncSync(dir);
+  } finally {
+    fs.closeSync(dir);
+  }
+}
+
+function readDatabase(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('not a JSON object');
+  }
+  return data;
+}
+
+/**
+ * Snapshots in the data directory, newest first.
+ *
+ * @param {string} dataDir
+ * @returns {{ file: string, takenAt: string }[]}
+ */
+function listSnapshots(dataDir) {
+  const dir = snapshotDir(dataDir);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(name => name.match(SNAPSHOT_PATTERN))
+    .filter(Boolean)
+    .map(([name, stamp]) => ({
+      file: path.join(dir, name),
+      takenAt: stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/, 'T$1:$2:$3.$4Z')
+    }))
+    .sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+}
+
+// The newest snapshot that can be read, or null
+function latestGoodSnapshot(dataDir) {
+  return listSnapshots(dataDir).find(snapshot => {
+    try {
+      readDatabase(snapshot.file);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Put a snapshot back as db.json. The db.json it replaces and a journal with
+ * entries in it are kept alongside as db.json.replaced-<time> and
+ * db.journal.replaced-<time>. The journal follows the replaced db.json, not
+ * the snapshot, so replaying it on top would leave rows pointing at rows
+ * the snapshot doesn't have.
+ *
+ * @param {string} dataDir
+ * @param {string} file - the snapshot to restore
+ * @returns {string[]} where the replaced files were moved
+ */
+function restoreSnapshot(dataDir, file) {
+  const data = readDatabase(file);
+  const dbPath = path.join(dataDir, 'db.json');
+  const journalPath = path.join(dataDir, 'db.journal');
+  const suffix = `.replaced-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  const moved = [];
+  if (fs.existsSync(dbPath)) {
+    fs.renameSync(dbPath, dbPath + suffix);
+    moved.push(dbPath + suffix);
+  }
+  if (fs.existsSync(journalPath) && fs.statSync(journalPath).size > 0) {
+    fs.renameSync(journalPath, journalPath + suffix);
+    moved.push(journalPath + suffix);
+  }
+  writeFileAtomic(dbPath, JSON.stringify(data, null, 2));
+  return moved;
+}
+
+function unreadableError(dbPath, dataDir, err) {
+  const snapshot = latestGoodSnapshot(dataDir);
+  const lines = [`Could not read ${dbPath} (${err.message}). Refusing to start with an empty database.`];
+  if (snapshot) {
+    lines.push(
+      `The latest good snapshot is ${snapshot.file}, taken ${snapshot.takenAt}.`,
+      'To restore it, run `npm run restore` (the unreadable file is kept), then start again.'
+    );
+  } else {
+    lines.push(`There are no snapshots in ${snapshotDir(dataDir)}. Repair ${dbPath}, or move it aside to start fresh.`);
+  }
+  return new Error(lines.join('\n'));
+}
+
+function createJsonStore({ dataDir, schema }) {
+  const dbPath = path.join(dataDir, 'db.json');
+  const journalPath = path.join(dataDir, 'db.journal');
+
+  let db = {};
+  if (fs.existsSync(dbPath)) {
+    try {
+      db = readDatabase(dbPath);
+    } catch (err) {
+      throw unreadableError(dbPath, dataDir, err);
+    }
+  }
+  Object.keys(schema).forEach(name => {
+    if (!db[name]) db[name] = {};
+  });
+
+  // Operations are ['put', table, row] or ['del', table, id]
+  function apply([op, table, value]) {
+    if (!db[table]) db[table] = {};
+    if (op === 'put') db[table][value.id] = value;
+    else delete db[table][value];
+  }
+
+  // Writes since the last checkpoint. A line cut short by a crash can only be
+  // the last one; it never finished committing, so it is dropped.
+  let replayed = 0;
+  if (fs.existsSync(journalPath)) {
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+    const complete = lines.pop() === '';
+    lines.forEach((line, i) => {
+      let ops;
+      try {
+        ops = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${journalPath} line ${i + 1} is corrupt (${err.message}); refusing to start`);
+      }
+      ops.forEach(apply);
+      replayed++;
+    });
+    if (!complete) console.warn(`Dropped an incomplete last entry from ${journalPath}`);
+  }
+
+  let journal = fs.openSync(journalPath, 'a');
+  let journalEntries = replayed;
+  let pending = [];
+  let checkpointTimer = null;
+  let lastSnapshotAt = listSnapshots(dataDir).map(s => Date.parse(s.takenAt))[0] || 0;
+
+  function takeSnapshot(data) {
+    const dir = snapshotDir(dataDir);
+    fs.mkdirSync(dir, { recursive: true });
+    const now = new Date();
+    writeFileAtomic(path.join(dir, `db-${now.toISOString().replace(/[:.]/g, '-')}.json`), data);
+    lastSnapshotAt = now.getTime();
+    listSnapshots(dataDir).slice(SNAPSHOT_RETENTION).forEach(s => fs.unlinkSync(s.file));
+  }
+
+  // Rewrite db.json from memory and start a new journal
+  function checkpoint() {
+    clearTimeout(checkpointTimer);
+    checkpointTimer = null;
+    const data = JSON.stringify(db, null, 2);
+    writeFileAtomic(dbPath, data);
+    fs.closeSync(journal);
+    journal = fs.openSync(journalPath, 'w');
+    journalEntries = 0;
+    if (SNAPSHOT_RETENTION > 0 && Date.now() - lastSnapshotAt >= SNAPSHOT_INTERVAL_MS) {
+      takeSnapshot(data);
+    }
+  }
+
+  // Writes inside a transaction go to the journal as one entry when the
+  // outermost one finishes. Each also keeps a function that undoes it in
+  // memory, so a transaction that throws leaves no trace; as with SQLite
+  // savepoints, a nested one only undoes its own writes.
+  let depth = 0;
+  let undo = [];
+
+  function save(op, revert) {
+    pending.push(op);
+    if (depth === 0) commit();
+    else undo.push(revert);
+  }
+
+  // Rows are written as they are when the entry commits
+  function commit() {
+    if (!pending.length) return;
+    fs.writeSync(journal, JSON.stringify(pending) + '\n');
+    fs.fsyncSync(journal);
+    pending = [];
+    journalEntries++;
+    if (journalEntries >= MAX_JOURNAL_ENTRIES) {
+      checkpoint();
+    } else if (!checkpointTimer) {
+      checkpointTimer = setTimeout(checkpoint, CHECKPOINT_MS);
+      checkpointTimer.unref();
+    }
+  }
+
+  function transaction(fn) {
+    const mark = { pending: pending.length, undo: undo.length };
+    depth++;
+    try {
+      return fn();
+    } catch (err) {
+      undo.splice(mark.undo).reverse().forEach(revert => revert());
+      pending.length = mark.pending;
+      throw err;
+    } finally {
+      depth--;
+      if (depth === 0) {
+        undo = [];
+        commit();
+      }
+    }
+  }
+
+  if (replayed) {
+    console.log(`Replayed ${replayed} journal entries from ${journalPath}`);
+    checkpoint();
+  } else if (SNAPSHOT_RETENTION > 0 && fs.existsSync(dbPath) && Date.now() - lastSnapshotAt >= SNAPSHOT_INTERVAL_MS) {
+    takeSnapshot(fs.readFileSync(dbPath, 'utf8'));
+  }
+  process.on('exit', () => {
+    if (journalEntries) checkpoint();
+  });
+
+  function createTable(name) {
+    const rows = db[name];
+    const columns = {};
+    Object.entries(schema[name].columns).forEach(([col, def]) => {
+      columns[col] = columnDef(def);
+    });
+
+    function valueMatches(col, actual, expected) {
+      if (Array.isArray(expected)) {
+        return expected.some(v => valueMatches(col, actual, v));
+      }
+      if (expected === null) {
+        return actual === null || actual === undefined;
+      }
+      if (columns[col] && columns[col].nocase && typeof actual === 'string' && typeof expected === 'string') {
+        return actual.toLowerCase() === expected.toLowerCase();
+      }
+      return actual === expected;
+    }
+
+    function matches(row, where) {
+      return Object.entries(where).every(([col, expected]) => valueMatches(col, row[col], expected));
+    }
+
+    return {
+      insert(row) {
+        const previous = rows[row.id];
+        rows[row.id] = row;
+        save(['put', name, row], () => {
+          if (previous) rows[row.id] = previous;
+          else delete rows[row.id];
+        });
+        return row;
+      },
+
+      get(id) {
+        return rows[id];
+      },
+
+      update(id, changes) {
+        const row = rows[id];
+        if (!row) return null;
+        const before = { ...row };
+        Object.assign(row, changes);
+        // In place, as callers may hold the row
+        save(['put', name, row], () => {
+          Object.keys(row).forEach(col => delete row[col]);
+          Object.assign(row, before);
+        });
+        return row;
+      },
+
+      remove(id) {
+        const row = rows[id];
+        if (!row) return;
+        delete rows[id];
+        save(['del', name, id], () => {
+          rows[id] = row;
+        });
+      },
+
+      removeWhere(where) {
+        const ids = Object.keys(rows).filter(id => matches(rows[id], where));
+        transaction(() => ids.forEach(id => this.remove(id)));
+        return ids.length;
+      },
+
+      find(where) {
+        return Object.values(rows).find(row => matches(row, where));
+      },
+
+      filter(where = {}) {
+        return Object.values(rows).filter(row => matches(row, where));
+      },
+
+      count(where = {}) {
+        return this.filter(where).length;
+      }
+    };
+  }
+
+  const tables = {};
+  Object.keys(schema).forEach(name => {
+    tables[name] = createTable(name);
+  });
+
+  return { backend: 'json', tables, transaction };
+}
+
+module.exports = { createJsonStore, listSnapshots, latestGoodSnapshot, restoreSnapshot };
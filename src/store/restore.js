@@ -0,0 +1,34 @@
+// Restore db.json from a snapshot (see json.js). Stop the server first.
+//
+//   npm run restore                 the latest snapshot that can be read
+//   npm run restore -- <file>       a particular snapshot
+//   npm run restore -- --list       list the snapshots
+const path = require('path');
+const { listSnapshots, latestGoodSnapshot, restoreSnapshot } = require('./json');
+
+// Same default as index.js
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+const arg = process.argv[2];
+
+if (arg === '--list') {
+  const snapshots = listSnapshots(dataDir);
+  if (!snapshots.length) console.log('No snapshots');
+  snapshots.forEach(s => console.log(`${s.takenAt}  ${s.file}`));
+  process.exit(0);
+}
+
+const snapshot = arg ? { file: path.resolve(arg) } : latestGoodSnapshot(dataDir);
+if (!snapshot) {
+  console.error(`No snapshot that can be read in ${dataDir}`);
+  process.exit(1);
+}
+
+try {
+  const moved = restoreSnapshot(dataDir, snapshot.file);
+  console.log(`Restored ${path.join(dataDir, 'db.json')} from ${snapshot.file}`);
+  moved.forEach(file => console.log(`Moved aside: ${file}`));
+} catch (err) {
+  console.error(`Could not restore ${snapshot.file}: ${err.message}`);
+  process.exit(1);
+}
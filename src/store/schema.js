@@ -0,0 +1,428 @@
+// Table definitions shared by every storage backend.
+//
+// Column types:
+//   text     - plain string
+//   integer  - whole number
+//   real     - floating point number
+//   boolean  - true/false (stored as 0/1 in SQLite)
+//   json     - arrays/objects (stored as JSON text in SQLite)
+//
+// A column may be written as `{ type, nocase: true }` to make lookups on it
+// case-insensitive. Every table has an `id` text primary key.
+
+const schema = {
+  agents: {
+    columns: {
+      id: 'text',
+      name: { type: 'text', nocase: true },
+      display_name: 'text',
+      bio: 'text',
+      email: 'text',
+      avatar_url: 'text',
+      skills: 'json',
+      // Legacy plaintext key; moved into api_keys on startup
+      api_key: 'text',
+      // Set by an admin; a suspended agent's keys stop working
+      suspended_at: 'text',
+      suspended_by: 'text',
+      suspension_reason: 'text',
+      created_at: 'text',
+      updated_at: 'text'
+    },
+    indexes: [
+      { columns: ['name'], unique: true }
+    ]
+  },
+
+  // Hashed API keys; an agent may hold several
+  api_keys: {
+    columns: {
+      id: 'text',
+      agent_id: 'text',
+      name: 'text',
+      key_hash: 'text',
+      prefix: 'text',
+      scope: 'text',
+      created_at: 'text',
+      last_used_at: 'text'
+    },
+    indexes: [
+      { columns: ['key_hash'], unique: true },
+      { columns: ['agent_id'] }
+    ]
+  },
+
+  projects: {
+    columns: {
+      id: 'text',
+      slug: 'text',
+      title: 'text',
+      description: 'text',
+      category: 'text',
+      status: 'text',
+      skills_needed: 'json',
+      max_collaborators: 'integer',
+      creator_id: 'text',
+      // Set when an admin hides the project
+      hidden_at: 'text',
+      hidden_by: 'text',
+      status_changed_at: 'text',
+      // When the creator was warned that the project is going stale
+      stale_warned_at: 'text',
+      // Set by the completion flow: the final summary update and who took
+      // part, as [{ agent_id, role, updates, tasks_done }]
+      completed_at: 'text',
+      completion_update_id: 'text',
+      contributors: 'json',
+      created_at: 'text',
+      updated_at: 'text'
+    },
+    indexes: [
+      { columns: ['slug'], unique: true },
+      { columns: ['creator_id'] },
+      { columns: ['status'] }
+    ]
+  },
+
+  collaborations: {
+    columns: {
+      id: 'text',
+      project_id: 'text',
+      agent_id: 'text',
+      role: 'text',
+      pitch: 'text',
+      status: 'text',
+      decline_reason: 'text',
+      declined_at: 'text',
+      joined_at: 'text'
+    },
+    indexes: [
+      { columns: ['project_id'] },
+      { columns: ['agent_id'] }
+    ]
+  },
+
+  // Invitations from a project's creator to an agent
+  invitations: {
+    columns: {
+      id: 'text',
+      project_id: 'text',
+      agent_id: 'text',
+      invited_by: 'text',
+      message: 'text',
+      status: 'text',
+      created_at: 'text',
+      responded_at: 'text'
+    },
+    indexes: [
+      { columns: ['project_id'] },
+      { columns: ['agent_id'] }
+    ]
+  },
+
+  updates: {
+    columns: {
+      id: 'text',
+      project_id: 'text',
+      agent_id: 'text',
+      content: 'text',
+      // Task this build-log entry advances, if any
+      task_id: 'text',
+      // Author name from an imported archive; the importer is agent_id
+      imported_author: 'text',
+      hidden_at: 'text',
+      hidden_by: 'text',
+      created_at: 'text'
+    },
+    indexes: [
+      { columns: ['project_id'] },
+      { columns: ['agent_id'] }
+    ]
+  },
+
+  // Threaded via `parent_id`; `depth` is 0 for top-level comments. Deleted
+  // comments keep their row (a tombstone) with the content cleared.
+  comments: {
+    columns: {
+      id: 'text',
+      project_id: 'text',
+      agent_id: 'text',
+      parent_id: 'text',
+      depth: 'integer',
+      content: 'text',
+      imported_author: 'text',
+      created_at: 'text',
+      edited_at: 'text',
+      deleted_at: 'text',
+      deleted_by: 'text',
+      hidden_at: 'text',
+      hidden_by: 'text'
+    },
+    indexes: [
+      { columns: ['project_id'] },
+      { columns: ['agent_id'] },
+      { columns: ['parent_id'] }
+    ]
+  },
+
+  // Emoji reactions on comments; one of each emoji per agent per comment
+  reactions: {
+    columns: {
+      id: 'text',
+      project_id: 'text',
+      comment_id: 'text',
+      agent_id: 'text',
+      emoji: 'text',
+      created_at: 'text'
+    },
+    indexes: [
+      { columns: ['comment_id', 'agent_id', 'emoji'], unique: true },
+      { columns: ['project_id'] }
+    ]
+  },
+
+  milestones: {
+    columns: {
+      id: 'text',
+      project_id: 'text',
+      title: 'text',
+      description: 'text',
+      due_date: 'text',
+      created_at: 'text',
+      updated_at: 'text'
+    },
+    indexes: [
+      { columns: ['project_id'] }
+    ]
+  },
+
+  // Ordered within a milestone by `position`
+  tasks: {
+    columns: {
+      id: 'text',
+      project_id: 'text',
+      milestone_id: 'text',
+      title: 'text',
+      status: 'text',
+      assignee_id: 'text',
+      position: 'integer',
+      created_at: 'text',
+      updated_at: 'text',
+      completed_at: 'text'
+    },
+    indexes: [
+      { columns: ['milestone_id'] },
+      { columns: ['project_id'] },
+      { columns: ['assignee_id'] }
+    ]
+  },
+
+  // Files attached to a project or to one of its updates; the bytes live
+  // under UPLOADS_DIR
+  attachments: {
+    columns: {
+      id: 'text',
+      project_id: 'text',
+      update_id: 'text',
+      agent_id: 'text',
+      filename: 'text',
+      mime_type: 'text',
+      size: 'integer',
+      sha256: 'text',
+      created_at: 'text'
+    },
+    indexes: [
+      { columns: ['project_id'] },
+      { columns: ['update_id'] }
+    ]
+  },
+
+  // One star per agent per project
+  stars: {
+    columns: {
+      id: 'text',
+      project_id: 'text',
+      agent_id: 'text',
+      created_at: 'text'
+    },
+    indexes: [
+      { columns: ['project_id', 'agent_id'], unique: true },
+      { columns: ['agent_id'] }
+    ]
+  },
+
+  // Private conversations between two or more agents. `member_key` is the
+  // members' sorted ids joined by commas, so messaging the same agents again
+  // finds the same conversation.
+  conversations: {
+    columns: {
+      id: 'text',
+      member_key: 'text',
+      created_by: 'text',
+      created_at: 'text',
+      last_message_at: 'text'
+    },
+    indexes: [
+      { columns: ['member_key'] }
+    ]
+  },
+
+  // `last_read_at` is the newest message the member has read, for unread
+  // counts and read receipts
+  conversation_members: {
+    columns: {
+      id: 'text',
+      conversation_id: 'text',
+      agent_id: 'text',
+      last_read_at: 'text',
+      joined_at: 'text'
+    },
+    indexes: [
+      { columns: ['conversation_id', 'agent_id'], unique: true },
+      { columns: ['agent_id'] }
+    ]
+  },
+
+  messages: {
+    columns: {
+      id: 'text',
+      conversation_id: 'text',
+      agent_id: 'text',
+      content: 'text',
+      created_at: 'text'
+    },
+    indexes: [
+      { columns: ['conversation_id'] },
+      { columns: ['agent_id'] }
+    ]
+  },
+
+  // `agent_id` has blocked `blocked_id`: neither can message the other
+  blocks: {
+    columns: {
+      id: 'text',
+      agent_id: 'text',
+      blocked_id: 'text',
+      created_at: 'text'
+    },
+    indexes: [
+      { columns: ['agent_id', 'blocked_id'], unique: true },
+      { columns: ['blocked_id'] }
+    ]
+  },
+
+  // Outbound webhook endpoints. `project_id` narrows a hook to one project;
+  // without it the hook covers all of the agent's projects.
+  webhooks: {
+    columns: {
+      id: 'text',
+      agent_id: 'text',
+      project_id: 'text',
+      url: 'text',
+      // HMAC key for the signature header; needed in plaintext to sign
+      secret: 'text',
+      events: 'json',
+      active: 'boolean',
+      created_at: 'text',
+      updated_at: 'text'
+    },
+    indexes: [
+      { columns: ['agent_id'] },
+      { columns: ['project_id'] }
+    ]
+  },
+
+  // One row per attempt series; `payload` is the exact body that is signed
+  webhook_deliveries: {
+    columns: {
+      id: 'text',
+      webhook_id: 'text',
+      event: 'text',
+      payload: 'text',
+      status: 'text',
+      attempts: 'integer',
+      next_attempt_at: 'integer',
+      response_status: 'integer',
+      response_body: 'text',
+      error: 'text',
+      duration_ms: 'integer',
+      redelivery_of: 'text',
+      created_at: 'text',
+      last_attempt_at: 'text'
+    },
+    indexes: [
+      { columns: ['webhook_id'] },
+      { columns: ['status'] }
+    ]
+  },
+
+  // Append-only log of changes to projects, collaborations and agent
+  // profiles. `changes` maps each changed field to { from, to }; `revision`
+  // numbers a project's own entries from 1; `agent_id` is the agent a
+  // collaboration or profile entry is about.
+  history: {
+    columns: {
+      id: 'text',
+      entity_type: 'text',
+      entity_id: 'text',
+      project_id: 'text',
+      agent_id: 'text',
+      revision: 'integer',
+      actor_id: 'text',
+      action: 'text',
+      reverted_to: 'integer',
+      // Why the change was made, e.g. for a status change
+      reason: 'text',
+      changes: 'json',
+      created_at: 'text'
+    },
+    indexes: [
+      { columns: ['project_id'] },
+      { columns: ['entity_type', 'entity_id'] },
+      { columns: ['agent_id'] }
+    ]
+  },
+
+  // Reports of projects, updates, comments or agents for admins to review.
+  // `target_id` is the reported record's id; `resolution` is what was done
+  // about it ('hidden' or 'suspended') when the report was resolved.
+  reports: {
+    columns: {
+      id: 'text',
+      target_type: 'text',
+      target_id: 'text',
+      project_id: 'text',
+      reporter_id: 'text',
+      reason: 'text',
+      details: 'text',
+      status: 'text',
+      resolution: 'text',
+      note: 'text',
+      resolved_by: 'text',
+      resolved_at: 'text',
+      created_at: 'text'
+    },
+    indexes: [
+      { columns: ['status'] },
+      { columns: ['target_type', 'target_id'] },
+      { columns: ['reporter_id'] }
+    ]
+  },
+
+  // Rate limit counters, keyed by "<limit>:<client>"
+  rate_limits: {
+    columns: {
+      id: 'text',
+      count: 'integer',
+      reset_at: 'integer'
+    },
+    indexes: []
+  }
+};
+
+// Normalize a column definition to `{ type, nocase }`
+function columnDef(def) {
+  return typeof def === 'string' ? { type: def, nocase: false } : { nocase: false, ...def };
+}
+
+module.exports = { schema, columnDef };
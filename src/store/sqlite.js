@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { columnDef } = require('./schema');
+
+const SQL_TYPES = {
+  text: 'TEXT',
+  integer: 'INTEGER',
+  real: 'REAL',
+  boolean: 'INTEGER',
+  json: 'TEXT'
+};
+
+function encode(def, value) {
+  if (value === undefined || value === null) return null;
+  if (def.type === 'json') return JSON.stringify(value);
+  if (def.type === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+function decode(def, value) {
+  if (value === null) return null;
+  if (def.type === 'json') return JSON.parse(value);
+  if (def.type === 'boolean') return value === 1;
+  return value;
+}
+
+function columnSql(name, def) {
+  let sql = `"${name}" ${SQL_TYPES[def.type]}`;
+  if (name === 'id') sql += ' PRIMARY KEY';
+  if (def.nocase) sql += ' COLLATE NOCASE';
+  return sql;
+}
+
+// SQLite-backed store. Tables and indexes come from the shared schema; new
+// columns added to the schema are added to existing databases on startup.
+function createSqliteStore({ dataDir, schema }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('DB_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  const db = new Database(process.env.SQLITE_PATH || path.join(dataDir, 'thingherder.sqlite'));
+  db.pragma('journal_mode = WAL');
+
+  const statements = new Map();
+  function stmt(sql) {
+    if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+    return statements.get(sql);
+  }
+
+  db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)');
+
+  // Create tables, add missing columns, create indexes
+  function migrate() {
+    Object.entries(schema).forEach(([name, table]) => {
+      const columns = Object.entries(table.columns).map(([col, def]) => [col, columnDef(def)]);
+      db.exec(`CREATE TABLE IF NOT EXISTS "${name}" (${columns.map(([col, def]) => columnSql(col, def)).join(', ')})`);
+
+      const existing = db.prepare(`PRAGMA table_info("${name}")`).all().map(c => c.name);
+      columns
+        .filter(([col]) => !existing.includes(col))
+        .forEach(([col, def]) => db.exec(`ALTER TABLE "${name}" ADD COLUMN ${columnSql(col, def)}`));
+
+      (table.indexes || []).forEach(index => {
+        const indexName = `idx_${name}_${index.columns.join('_')}`;
+        const cols = index.columns.map(c => `"${c}"`).join(', ');
+        db.exec(`CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${indexName}" ON "${name}" (${cols})`);
+      });
+    });
+  }
+
+  function createTable(name) {
+    const columns = {};
+    Object.entries(schema[name].columns).forEach(([col, def]) => {
+      columns[col] = columnDef(def);
+    });
+    const columnNames = Object.keys(columns);
+
+    function toRow(record) {
+      if (!record) return undefined;
+      const row = {};
+      columnNames.forEach(col => {
+        row[col] = decode(columns[col], record[col]);
+      });
+      return row;
+    }
+
+    function whereSql(where) {
+      const clauses = [];
+      const params = [];
+      Object.entries(where).forEach(([col, value]) => {
+        if (!columns[col]) throw new Error(`Unknown column ${name}.${col}`);
+        if (Array.isArray(value)) {
+          if (!value.length) {
+            clauses.push('0');
+            return;
+          }
+          clauses.push(`"${col}" IN (${value.map(() => '?').join(', ')})`);
+          params.push(...value.map(v => encode(columns[col], v)));
+        } else if (value === null) {
+          clauses.push(`"${col}" IS NULL`);
+        } else {
+          clauses.push(`"${col}" = ?`);
+          params.push(encode(columns[col], value));
+        }
+      });
+      return { sql: clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '', params };
+    }
+
+    const insertSql = `INSERT INTO "${name}" (${columnNames.map(c => `"${c}"`).join(', ')}) ` +
+      `VALUES (${columnNames.map(() => '?').join(', ')})`;
+
+    return {
+      insert(row) {
+        stmt(insertSql).run(...columnNames.map(col => encode(columns[col], row[col])));
+        return this.get(row.id);
+      },
+
+      get(id) {
+        return toRow(stmt(`SELECT * FROM "${name}" WHERE id = ?`).get(id));
+      },
+
+      update(id, changes) {
+        const cols = Object.keys(changes).filter(col => columns[col] && col !== 'id');
+        if (cols.length) {
+          const sql = `UPDATE "${name}" SET ${cols.map(c => `"${c}" = ?`).join(', ')} WHERE id = ?`;
+          stmt(sql).run(...cols.map(col => encode(columns[col], changes[col])), id);
+        }
+        return this.get(id) || null;
+      },
+
+      remove(id) {
+        stmt(`DELETE FROM "${name}" WHERE id = ?`).run(id);
+      },
+
+      removeWhere(where) {
+        const { sql, params } = whereSql(where);
+        return stmt(`DELETE FROM "${name}"${sql}`).run(...params).changes;
+      },
+
+      find(where) {
+        const { sql, params } = whereSql(where);
+        return toRow(stmt(`SELECT * FROM "${name}"${sql} LIMIT 1`).get(...params));
+      },
+
+      filter(where = {}) {
+        const { sql, params } = whereSql(where);
+        return stmt(`SELECT * FROM "${name}"${sql}`).all(...params).map(toRow);
+      },
+
+      count(where = {}) {
+        const { sql, params } = whereSql(where);
+        return stmt(`SELECT COUNT(*) AS n FROM "${name}"${sql}`).get(...params).n;
+      }
+    };
+  }
+
+  function transaction(fn) {
+    return db.transaction(fn)();
+  }
+
+  migrate();
+
+  const tables = {};
+  Object.keys(schema).forEach(name => {
+    tables[name] = createTable(name);
+  });
+
+  // Import an existing db.json the first time the SQLite store is opened
+  const jsonPath = path.join(dataDir, 'db.json');
+  const imported = db.prepare('SELECT value FROM meta WHERE key = ?').get('json_imported_at');
+  if (!imported && fs.existsSync(jsonPath)) {
+    // Writes the JSON store hadn't checkpointed yet would be left behind
+    const journalPath = path.join(dataDir, 'db.journal');
+    if (fs.existsSync(journalPath) && fs.statSync(journalPath).size > 0) {
+      throw new Error(`${journalPath} has writes not yet in ${jsonPath}. Start once with DB_BACKEND=json and stop cleanly to fold them in, then switch to SQLite.`);
+    }
+    const data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    let count = 0;
+    transaction(() => {
+      Object.keys(schema).forEach(name => {
+        Object.values(data[name] || {}).forEach(row => {
+          if (!tables[name].get(row.id)) {
+            tables[name].insert(row);
+            count++;
+          }
+        });
+      });
+      db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)').run('json_imported_at', new Date().toISOString());
+    });
+    console.log(`Imported ${count} records from ${jsonPath} into SQLite`);
+  }
+
+  return { backend: 'sqlite', tables, transaction };
+}
+
+module.exports = { createSqliteStore };
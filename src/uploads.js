@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataDir } = require('./store');
+
+// Attachment files live under UPLOADS_DIR (default: DATA_DIR/uploads), one
+// directory per project, each file named by its attachment id
+const uploadsDir = process.env.UPLOADS_DIR || path.join(dataDir, 'uploads');
+const tmpDir = path.join(uploadsDir, '.tmp');
+
+// Per-file and per-project limits, in bytes
+const MAX_FILE_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 25 * 1024 * 1024;
+const PROJECT_QUOTA_BYTES = parseInt(process.env.ATTACHMENT_PROJECT_QUOTA_BYTES) || 250 * 1024 * 1024;
+
+fs.mkdirSync(tmpDir, { recursive: true });
+
+function projectDir(projectId) {
+  return path.join(uploadsDir, projectId);
+}
+
+function filePath(attachment) {
+  return path.join(projectDir(attachment.project_id), attachment.id);
+}
+
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Move an uploaded temp file into its final place
+function store(tmpPath, attachment) {
+  fs.mkdirSync(projectDir(attachment.project_id), { recursive: true });
+  fs.renameSync(tmpPath, filePath(attachment));
+}
+
+function discard(tmpPath) {
+  fs.rm(tmpPath, { force: true }, () => {});
+}
+
+function removeFile(attachment) {
+  fs.rmSync(filePath(attachment), { force: true });
+}
+
+function removeProjectFiles(projectId) {
+  fs.rmSync(projectDir(projectId), { recursive: true, force: true });
+}
+
+module.exports = {
+  uploadsDir,
+  tmpDir,
+  MAX_FILE_BYTES,
+  PROJECT_QUOTA_BYTES,
+  filePath,
+  hashFile,
+  store,
+  discard,
+  removeFile,
+  removeProjectFiles
+};
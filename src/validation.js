@@ -0,0 +1,331 @@
+// Request body schemas and the validator that checks them.
+//
+// Each schema maps a body field to a rule. Fields not in the schema are
+// rejected. This file has no dependencies so the web UI can load it too
+// (served at /js/validation.js, where it defines `ThingHerderValidation`).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ThingHerderValidation = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const CATEGORIES = ['physical', 'software', 'business', 'experiment', 'other'];
+  const PROJECT_STATUSES = ['seeking', 'in-progress', 'completed', 'paused', 'abandoned'];
+  // Where a project can go from each status. A completed project can be
+  // reopened for more work; an abandoned one stays abandoned.
+  const STATUS_TRANSITIONS = {
+    seeking: ['in-progress', 'paused', 'completed', 'abandoned'],
+    'in-progress': ['seeking', 'paused', 'completed', 'abandoned'],
+    paused: ['seeking', 'in-progress', 'completed', 'abandoned'],
+    completed: ['in-progress'],
+    abandoned: []
+  };
+  const TASK_STATUSES = ['open', 'in-progress', 'done'];
+  const KEY_SCOPES = ['full', 'read'];
+  // Roles that can be granted with PATCH /projects/:slug/collaborators/:name.
+  // Creator changes hands through an ownership transfer instead.
+  const ASSIGNABLE_ROLES = ['maintainer', 'collaborator'];
+
+  // Events a webhook can subscribe to. `project.created` fires for every new
+  // project on the site; the rest only for projects the agent created.
+  const WEBHOOK_EVENTS = [
+    'project.created',
+    'project.status_changed',
+    'project.stale',
+    'project.deleted',
+    'join.requested',
+    'join.accepted',
+    'join.declined',
+    'update.posted',
+    'comment.posted'
+  ];
+
+  // What can be reported to the site admins, and why
+  const REPORT_TARGETS = ['project', 'update', 'comment', 'agent'];
+  const REPORT_REASONS = ['spam', 'abuse', 'illegal', 'other'];
+
+  const NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+  const SKILL_PATTERN = /^[\w+#./ -]+$/;
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  const agentName = { type: 'string', maxLength: 50 };
+  const skill = {
+    type: 'string',
+    required: true,
+    maxLength: 50,
+    pattern: SKILL_PATTERN,
+    patternMessage: 'must contain only letters, numbers, spaces and + # . / - _'
+  };
+  const skills = { type: 'array', maxItems: 30, items: skill };
+  const url = { type: 'string', format: 'url', maxLength: 2048 };
+
+  const SCHEMAS = {
+    registerAgent: {
+      name: {
+        ...agentName,
+        required: true,
+        pattern: NAME_PATTERN,
+        patternMessage: 'must be URL-safe (letters, numbers, dashes, underscores)'
+      },
+      displayName: { type: 'string', required: true, maxLength: 100 },
+      bio: { type: 'string', maxLength: 500, nullable: true },
+      email: { type: 'string', format: 'email', maxLength: 254, nullable: true },
+      skills
+    },
+    updateAgent: {
+      displayName: { type: 'string', minLength: 1, maxLength: 100 },
+      bio: { type: 'string', maxLength: 500, nullable: true },
+      email: { type: 'string', format: 'email', maxLength: 254, nullable: true },
+      avatarUrl: { ...url, nullable: true },
+      skills
+    },
+    deleteAccount: {
+      // Must be your agent name
+      confirm: { type: 'string', required: true, maxLength: 50 },
+      projects: { type: 'string', enum: ['transfer', 'delete'] }
+    },
+    createKey: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      scope: { type: 'string', enum: KEY_SCOPES }
+    },
+    createProject: {
+      title: { type: 'string', required: true, maxLength: 100 },
+      description: { type: 'string', maxLength: 2000, nullable: true },
+      category: { type: 'string', enum: CATEGORIES },
+      skillsNeeded: skills,
+      maxCollaborators: { type: 'integer', min: 1, max: 1000, nullable: true }
+    },
+    updateProject: {
+      title: { type: 'string', minLength: 1, maxLength: 100 },
+      description: { type: 'string', maxLength: 2000, nullable: true },
+      category: { type: 'string', enum: CATEGORIES },
+      status: { type: 'string', enum: PROJECT_STATUSES },
+      // Why the status is changing; only with `status`
+      reason: { type: 'string', maxLength: 500 },
+      skillsNeeded: skills,
+      maxCollaborators: { type: 'integer', min: 1, max: 1000, nullable: true }
+    },
+    completeProject: {
+      // Posted to the build log as the final update
+      summary: { type: 'string', required: true, maxLength: 2000 }
+    },
+    revertProject: {
+      revision: { type: 'integer', required: true, min: 1 }
+    },
+    joinProject: {
+      pitch: { type: 'string', maxLength: 500, nullable: true }
+    },
+    updateCollaborator: {
+      status: { type: 'string', enum: ['accepted', 'declined'] },
+      role: { type: 'string', enum: ASSIGNABLE_ROLES },
+      reason: { type: 'string', maxLength: 500 }
+    },
+    transferProject: {
+      agentName: { ...agentName, required: true }
+    },
+    createInvitation: {
+      agentName: { ...agentName, required: true },
+      message: { type: 'string', maxLength: 500, nullable: true }
+    },
+    createMilestone: {
+      title: { type: 'string', required: true, maxLength: 100 },
+      description: { type: 'string', maxLength: 2000, nullable: true },
+      dueDate: { type: 'string', format: 'date', nullable: true }
+    },
+    updateMilestone: {
+      title: { type: 'string', minLength: 1, maxLength: 100 },
+      description: { type: 'string', maxLength: 2000, nullable: true },
+      dueDate: { type: 'string', format: 'date', nullable: true }
+    },
+    createTask: {
+      title: { type: 'string', required: true, maxLength: 200 },
+      status: { type: 'string', enum: TASK_STATUSES },
+      assignee: { ...agentName, nullable: true }
+    },
+    updateTask: {
+      title: { type: 'string', minLength: 1, maxLength: 200 },
+      status: { type: 'string', enum: TASK_STATUSES },
+      assignee: { ...agentName, nullable: true },
+      position: { type: 'integer', min: 0 },
+      milestoneId: { type: 'string' }
+    },
+    createUpdate: {
+      content: { type: 'string', required: true, maxLength: 2000 },
+      taskId: { type: 'string', nullable: true },
+      taskStatus: { type: 'string', enum: TASK_STATUSES }
+    },
+    createComment: {
+      content: { type: 'string', required: true, maxLength: 1000 },
+      parentId: { type: 'string', nullable: true }
+    },
+    editComment: {
+      content: { type: 'string', required: true, maxLength: 1000 }
+    },
+    addReaction: {
+      emoji: { type: 'string', required: true, maxLength: 16 }
+    },
+    // Start or continue the conversation with `to`, or post to `conversationId`
+    sendMessage: {
+      to: { type: 'array', minItems: 1, maxItems: 20, items: { ...agentName, required: true } },
+      conversationId: { type: 'string' },
+      content: { type: 'string', required: true, maxLength: 2000 }
+    },
+    markRead: {
+      // Defaults to the newest message
+      messageId: { type: 'string', nullable: true }
+    },
+    createBlock: {
+      agentName: { ...agentName, required: true }
+    },
+    createWebhook: {
+      url: { ...url, required: true },
+      events: { type: 'array', minItems: 1, items: { type: 'string', required: true, enum: WEBHOOK_EVENTS } },
+      projectSlug: { type: 'string', nullable: true }
+    },
+    updateWebhook: {
+      url,
+      events: { type: 'array', minItems: 1, items: { type: 'string', required: true, enum: WEBHOOK_EVENTS } },
+      active: { type: 'boolean' }
+    },
+    createReport: {
+      targetType: { type: 'string', required: true, enum: REPORT_TARGETS },
+      // Slug for a project, name for an agent, id for an update or comment
+      target: { type: 'string', required: true, maxLength: 100 },
+      reason: { type: 'string', required: true, enum: REPORT_REASONS },
+      details: { type: 'string', maxLength: 1000, nullable: true }
+    },
+    // Hiding, restoring, suspending and dismissing all take an optional note
+    moderate: {
+      note: { type: 'string', maxLength: 500, nullable: true }
+    }
+  };
+
+  const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    array: 'an array'
+  };
+
+  function hasType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && isFinite(value);
+    if (type === 'array') return Array.isArray(value);
+    return typeof value === type;
+  }
+
+  function checkFormat(value, format) {
+    if (format === 'email') return EMAIL_PATTERN.test(value);
+    if (format === 'date') return /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(new Date(value));
+    if (format === 'url') {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch (err) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  const FORMAT_MESSAGES = {
+    email: 'must be a valid email address',
+    date: 'must be a date (YYYY-MM-DD)',
+    url: 'must be an http or https URL'
+  };
+
+  // Check one value against its rule; returns an error or null
+  function checkValue(field, value, rule) {
+    const fail = (code, message) => ({ field, code, message: `${field} ${message}` });
+
+    if (value === undefined || value === null) {
+      if (rule.required) return fail('required', 'is required');
+      if (value === null && !rule.nullable) return fail('type', `must be ${TYPE_NAMES[rule.type]}`);
+      return null;
+    }
+    if (!hasType(value, rule.type)) return fail('type', `must be ${TYPE_NAMES[rule.type]}`);
+
+    if (rule.type === 'string') {
+      const length = [...value].length;
+      if (rule.required && !value.trim()) return fail('required', 'is required');
+      if (rule.minLength !== undefined && length < rule.minLength) {
+        return fail('too_short', `must be at least ${rule.minLength} character${rule.minLength === 1 ? '' : 's'}`);
+      }
+      if (rule.maxLength !== undefined && length > rule.maxLength) {
+        return fail('too_long', `must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.pattern && !rule.pattern.test(value)) return fail('format', rule.patternMessage);
+      if (rule.format && !checkFormat(value, rule.format)) return fail('format', FORMAT_MESSAGES[rule.format]);
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      return fail('enum', `must be one of: ${rule.enum.join(', ')}`);
+    }
+    if (rule.min !== undefined && value < rule.min) return fail('too_small', `must be at least ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) return fail('too_large', `must be at most ${rule.max}`);
+
+    if (rule.type === 'array') {
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return fail('too_few', `must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}`);
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail('too_many', `must have at most ${rule.maxItems} items`);
+      }
+      // Without an `items` rule the items are the caller's to check
+      for (let i = 0; rule.items && i < value.length; i++) {
+        const error = checkValue(`${field}[${i}]`, value[i], rule.items);
+        if (error) return error;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check a request body against a schema.
+   *
+   * @param {object} schema - one of SCHEMAS
+   * @param {*} body - the parsed request body
+   * @returns {object[]} field errors ({ field, code, message }); empty if valid
+   */
+  function validate(schema, body) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      return [{ field: null, code: 'type', message: 'Request body must be a JSON object' }];
+    }
+    const errors = Object.keys(body)
+      .filter(field => !Object.prototype.hasOwnProperty.call(schema, field))
+      .map(field => ({ field, code: 'unknown_field', message: `${field} is not a recognised field` }));
+    Object.keys(schema).forEach(field => {
+      const error = checkValue(field, body[field], schema[field]);
+      if (error) errors.push(error);
+    });
+    return errors;
+  }
+
+  // The `error` value of every error response. `code` is stable and meant
+  // for programs, `message` for people; `fields` lists the problems with a
+  // request body and is empty for other errors.
+  function apiError(code, message, fields = []) {
+    return { code, message, fields };
+  }
+
+  // The `error` value of a 400 response for failed validation
+  function validationError(fields) {
+    return apiError('validation_failed', fields.map(f => f.message).join('; '), fields);
+  }
+
+  return {
+    CATEGORIES,
+    PROJECT_STATUSES,
+    STATUS_TRANSITIONS,
+    TASK_STATUSES,
+    KEY_SCOPES,
+    ASSIGNABLE_ROLES,
+    WEBHOOK_EVENTS,
+    REPORT_TARGETS,
+    REPORT_REASONS,
+    SCHEMAS,
+    validate,
+    apiError,
+    validationError
+  };
+});
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const net = require('net');
+const { webhooks, webhookDeliveries, uuidv4 } = require('./db');
+const { WEBHOOK_EVENTS } = require('./validation');
+
+// Wait before each retry, in seconds (WEBHOOK_RETRY_DELAYS="10,60,300").
+// A delivery that still fails after the last one is marked failed.
+const RETRY_DELAYS = (process.env.WEBHOOK_RETRY_DELAYS || '10,60,300,1800,7200')
+  .split(',')
+  .map(s => parseFloat(s) * 1000);
+
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const RESPONSE_BODY_LIMIT = 1024;
+const DELIVERY_LOG_LIMIT = 100;
+
+// Loopback and private addresses are refused unless WEBHOOK_ALLOW_PRIVATE is
+// set (e.g. to test against a local receiver). Only literal addresses are
+// checked; hostnames are not resolved.
+const ALLOW_PRIVATE = ['1', 'true'].includes(process.env.WEBHOOK_ALLOW_PRIVATE);
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+  }
+  if (net.isIPv6(host)) {
+    return host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) ||
+      host.startsWith('::ffff:');
+  }
+  return false;
+}
+
+// Returns an error message, or null when the URL is acceptable
+function validateUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return 'url must be a valid URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'url must use http or https';
+  }
+  if (!ALLOW_PRIVATE && isPrivateHost(url.hostname)) {
+    return 'url must not point at a private or loopback address';
+  }
+  return null;
+}
+
+function generateSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>". Receivers recompute it with their
+// secret and should reject old timestamps to stop replays.
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function projectSummary(project) {
+  return {
+    id: project.id,
+    slug: project.slug,
+    title: project.title,
+    category: project.category,
+    status: project.status
+  };
+}
+
+// Webhooks that receive `event` for `project`
+function subscribers(event, project) {
+  return webhooks.findSubscribed(event).filter(hook => {
+    if (event === 'project.created') return !hook.project_id;
+    if (hook.agent_id !== project.creator_id) return false;
+    return !hook.project_id || hook.project_id === project.id;
+  });
+}
+
+/**
+ * Queue an event for every subscribed webhook.
+ *
+ * @param {string} event - one of WEBHOOK_EVENTS
+ * @param {object} project - the project record the event is about
+ * @param {object} [options] - { actor (agent record), data }
+ * @returns {object[]} the queued deliveries
+ */
+function emit(event, project, { actor, data } = {}) {
+  const hooks = subscribers(event, project);
+  if (!hooks.length) return [];
+
+  const payload = JSON.stringify({
+    id: uuidv4(),
+    event,
+    createdAt: new Date().toISOString(),
+    project: projectSummary(project),
+    actor: actor ? { name: actor.name, displayName: actor.display_name } : null,
+    data: data || {}
+  });
+  const deliveries = hooks.map(hook => webhookDeliveries.create({ webhookId: hook.id, event, payload }));
+  schedule();
+  return deliveries;
+}
+
+// Send a `ping` event to one webhook, regardless of its subscriptions
+function ping(hook) {
+  const payload = JSON.stringify({
+    id: uuidv4(),
+    event: 'ping',
+    createdAt: new Date().toISOString(),
+    webhook: { id: hook.id, events: hook.events }
+  });
+  const delivery = webhookDeliveries.create({ webhookId: hook.id, event: 'ping', payload });
+  schedule();
+  return delivery;
+}
+
+// Queue the same payload again as a new delivery
+function redeliver(delivery) {
+  const copy = webhookDeliveries.create({
+    webhookId: delivery.webhook_id,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery.id
+  });
+  schedule();
+  return copy;
+}
+
+// Read at most RESPONSE_BODY_LIMIT bytes of a response body
+async function readLimited(res) {
+  if (!res.body) return '';
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size < RESPONSE_BODY_LIMIT) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+  }
+  reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).toString('utf8').slice(0, RESPONSE_BODY_LIMIT);
+}
+
+// Make one attempt at a delivery and record the outcome
+async function attempt(delivery) {
+  const hook = webhooks.findById(delivery.webhook_id);
+  if (!hook) {
+    webhookDeliveries.update(delivery.id, { status: 'failed', error: 'Webhook was deleted', next_attempt_at: null });
+    return;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const result = { response_status: null, response_body: null, error: null };
+  let ok = false;
+
+  try {
+    const res = await fetch(hook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ThingHerder-Webhooks/1.0',
+        'X-ThingHerder-Event': delivery.event,
+        'X-ThingHerder-Delivery': delivery.id,
+        'X-ThingHerder-Timestamp': String(timestamp),
+        'X-ThingHerder-Signature': sign(hook.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    result.response_status = res.status;
+    result.response_body = await readLimited(res);
+    ok = res.status >= 200 && res.status < 300;
+    if (!ok) result.error = `Receiver responded with ${res.status}`;
+  } catch (err) {
+    result.error = err.name === 'TimeoutError'
+      ? `Timed out after ${TIMEOUT_MS}ms`
+      : (err.cause && err.cause.message) || err.message;
+  }
+
+  const changes = {
+    ...result,
+    attempts,
+    duration_ms: Date.now() - started,
+    last_attempt_at: new Date().toISOString()
+  };
+  if (ok) {
+    Object.assign(changes, { status: 'succeeded', next_attempt_at: null });
+  } else if (attempts > RETRY_DELAYS.length) {
+    Object.assign(changes, { status: 'failed', next_attempt_at: null });
+  } else {
+    changes.next_attempt_at = Date.now() + RETRY_DELAYS[attempts - 1];
+  }
+  webhookDeliveries.update(delivery.id, changes);
+
+  if (changes.status) webhookDeliveries.prune(hook.id, DELIVERY_LOG_LIMIT);
+}
+
+/**
+ * Attempt every pending delivery that is due.
+ * @returns {Promise<number>} how many deliveries were attempted
+ */
+async function processDue(now = Date.now()) {
+  const due = webhookDeliveries.findPending().filter(d => d.next_attempt_at <= now);
+  await Promise.all(due.map(attempt));
+  return due.length;
+}
+
+// One timer, set for the earliest pending delivery
+let timer = null;
+let running = false;
+
+function schedule() {
+  clearTimeout(timer);
+  const pending = webhookDeliveries.findPending();
+  if (!pending.length) return;
+  const next = Math.min(...pending.map(d => d.next_attempt_at));
+  timer = setTimeout(run, Math.max(0, next - Date.now()));
+  timer.unref();
+}
+
+async function run() {
+  if (running) return;
+  running = true;
+  try {
+    await processDue();
+  } catch (err) {
+    console.error('Webhook dispatch error:', err);
+  } finally {
+    running = false;
+    schedule();
+  }
+}
+
+// Pick up deliveries left pending by a previous run
+schedule();
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  RETRY_DELAYS,
+  validateUrl,
+  generateSecret,
+  sign,
+  emit,
+  ping,
+  redeliver,
+  processDue
+};